@@ -0,0 +1,1453 @@
+// GRAPH MODEL
+export function createGraph({ directed = false } = {}) {
+    return { nodes: [], edges: [], mstEdges: [], directed };
+}
+
+export function edgesMatch(graph, a, b) {
+    if (a.from === b.from && a.to === b.to) return true;
+    return !graph.directed && a.from === b.to && a.to === b.from;
+}
+
+export function findConnectedComponents(graph) {
+    const visited = new Set();
+    const components = [];
+    graph.nodes.forEach(node => {
+        if (visited.has(node.id)) return;
+        const component = [];
+        const queue = [node.id];
+        visited.add(node.id);
+        while (queue.length > 0) {
+            const current = queue.shift();
+            component.push(current);
+            graph.edges.forEach(edge => {
+                const neighbor = edge.from === current ? edge.to : (edge.to === current ? edge.from : null);
+                if (neighbor !== null && !visited.has(neighbor)) {
+                    visited.add(neighbor);
+                    queue.push(neighbor);
+                }
+            });
+        }
+        components.push(component);
+    });
+    return components;
+}
+
+export function findTreePath(treeEdges, fromId, toId) {
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === toId) break;
+        treeEdges.forEach(edge => {
+            const neighbor = edge.from === current ? edge.to : (edge.to === current ? edge.from : null);
+            if (neighbor !== null && !previous.has(neighbor)) {
+                previous.set(neighbor, { node: current, edge });
+                queue.push(neighbor);
+            }
+        });
+    }
+    if (!previous.has(toId)) return null;
+    const path = [];
+    for (let current = toId; previous.get(current); current = previous.get(current).node) {
+        path.unshift(previous.get(current).edge);
+    }
+    return path;
+}
+
+export function splitTreeAt(treeEdges, removedEdge) {
+    const side = new Set([removedEdge.from]);
+    const queue = [removedEdge.from];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        treeEdges.forEach(edge => {
+            if (edge === removedEdge) return;
+            const neighbor = edge.from === current ? edge.to : (edge.to === current ? edge.from : null);
+            if (neighbor !== null && !side.has(neighbor)) {
+                side.add(neighbor);
+                queue.push(neighbor);
+            }
+        });
+    }
+    return side;
+}
+
+export function clone(obj) { return JSON.parse(JSON.stringify(obj)); }
+
+// GRAPH GENERATION
+export function countPrimSteps(graph) {
+    if (graph.nodes.length === 0) return 0;
+    const startNodeId = graph.nodes[0].id;
+    const steps = [];
+    const visited = new Set();
+    const edges = [...graph.edges];
+    visited.add(startNodeId);
+    const priorityQueue = [];
+    edges.forEach(edge => {
+        if ((edge.from === startNodeId && !visited.has(edge.to)) || (edge.to === startNodeId && !visited.has(edge.from))) {
+            priorityQueue.push({ edge, weight: edge.weight });
+        }
+    });
+    priorityQueue.sort((a, b) => a.weight - b.weight);
+    steps.push({});
+    while (visited.size < graph.nodes.length && priorityQueue.length > 0) {
+        const minEdgeItem = priorityQueue.shift();
+        const minEdge = minEdgeItem.edge;
+        steps.push({});
+        const fromVisited = visited.has(minEdge.from);
+        const toVisited = visited.has(minEdge.to);
+        if ((fromVisited && !toVisited) || (!fromVisited && toVisited)) {
+            const newNode = fromVisited ? minEdge.to : minEdge.from;
+            steps.push({});
+            visited.add(newNode);
+            edges.forEach(edge => {
+                const fromNew = (edge.from === newNode && !visited.has(edge.to));
+                const toNew = (edge.to === newNode && !visited.has(edge.from));
+                if (fromNew || toNew) {
+                     priorityQueue.push({ edge, weight: edge.weight });
+                }
+            });
+            priorityQueue.sort((a, b) => a.weight - b.weight);
+            steps.push({});
+        } else {
+            steps.push({});
+        }
+    }
+    steps.push({});
+    return steps.length;
+}
+
+export function countKruskalSteps(graph) {
+    if (graph.nodes.length === 0) return 0;
+    const steps = [];
+    const edges = [...graph.edges];
+    edges.sort((a, b) => a.weight - b.weight);
+    const maxNodeId = graph.nodes.reduce((max, node) => Math.max(max, node.id), 0);
+    const parent = Array.from({ length: maxNodeId + 1 }, (_, i) => i);
+    const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])));
+    const union = (u, v) => {
+        const rootU = find(u);
+        const rootV = find(v);
+        if (rootU !== rootV) {
+            parent[rootV] = rootU;
+            return true;
+        }
+        return false;
+    };
+    steps.push({});
+    let edgesAdded = 0;
+    for (let i = 0; i < edges.length; i++) {
+        if (edgesAdded >= graph.nodes.length - 1) break;
+        const edge = edges[i];
+        steps.push({});
+        if (union(edge.from, edge.to)) {
+            edgesAdded++;
+            steps.push({});
+            steps.push({});
+        } else {
+            steps.push({});
+        }
+    }
+    steps.push({});
+    return steps.length;
+}
+
+// Directed graphs are oriented so that every node is reachable from rootId (default: the first node).
+export function generateGraph({
+    type = 'random', nodeCount = 5, density = 0.6, width = 800, height = 600, directed = false, rootId = 0, random = Math.random,
+} = {}) {
+    const graph = createGraph({ directed });
+    const placeNodes = () => {
+        graph.nodes = [];
+        graph.edges = [];
+        const radius = Math.min(width, height) * 0.4;
+        for (let i = 0; i < nodeCount; i++) {
+            const angle = (2 * Math.PI * i) / nodeCount;
+            graph.nodes.push({ id: i, x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle), label: String.fromCharCode(65 + i) });
+        }
+    };
+    const addEdge = (u, v, weight) => {
+        if (u !== v && !graph.edges.some(e => (e.from === u && e.to === v) || (e.from === v && e.to === u))) {
+            graph.edges.push({ from: u, to: v, weight, isInMST: false });
+        }
+    };
+    const maxEdges = nodeCount * (nodeCount - 1) / 2;
+    let complex = true;
+
+    if (type === 'cycle') {
+        let attempts = 0;
+        do {
+            placeNodes();
+            generateCycleEdges(graph, addEdge, Math.floor(maxEdges * density), random);
+            attempts++;
+            if (attempts > 50) {
+                complex = false;
+                break;
+            }
+        } while (countPrimSteps(graph) < 16 || countKruskalSteps(graph) < 16);
+    } else if (type === 'random') {
+        placeNodes();
+        const parent = Array.from({ length: nodeCount }, (_, i) => i);
+        const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])));
+        let sets = nodeCount;
+        while (sets > 1) {
+            const u = Math.floor(random() * nodeCount);
+            const v = Math.floor(random() * nodeCount);
+            if (find(u) !== find(v)) {
+                addEdge(u, v, Math.floor(random() * 20) + 1);
+                parent[find(v)] = find(u);
+                sets--;
+            }
+        }
+
+        const targetEdges = Math.floor(maxEdges * density);
+        while (graph.edges.length < targetEdges && graph.edges.length < maxEdges) {
+            addEdge(Math.floor(random() * nodeCount), Math.floor(random() * nodeCount), Math.floor(random() * 20) + 1);
+        }
+    } else if (type === 'complete') {
+        placeNodes();
+        for (let i = 0; i < nodeCount; i++) {
+            for (let j = i + 1; j < nodeCount; j++) {
+                addEdge(i, j, Math.floor(random() * 20) + 1);
+            }
+        }
+    }
+
+    if (directed && graph.nodes.length > 0) {
+        orientEdgesFromRoot(graph, graph.nodes.some(n => n.id === rootId) ? rootId : graph.nodes[0].id, random);
+    }
+    return { graph, complex };
+}
+
+function generateCycleEdges(graph, addEdge, targetEdgeCount, random) {
+    const nodeCount = graph.nodes.length;
+    const hasEdge = (i, j) => graph.edges.some(e => (e.from === i && e.to === j) || (e.from === j && e.to === i));
+    for (let i = 0; i < nodeCount; i++) {
+        addEdge(i, (i + 1) % nodeCount, 15 + Math.floor(random() * 10) + (i * 2));
+    }
+
+    const trapEdges = [];
+    const baseTrapCount = nodeCount <= 7 ? Math.max(3, Math.floor(nodeCount * 0.8)) : Math.max(2, Math.floor(nodeCount / 3));
+    const trapCount = Math.min(baseTrapCount, Math.floor((targetEdgeCount - nodeCount) * 0.7));
+    for (let gap = 2; gap <= 3; gap++) {
+        for (let i = 0; i < nodeCount && trapEdges.length < trapCount; i++) {
+            const j = (i + gap) % nodeCount;
+            if (i !== j && !hasEdge(i, j)) trapEdges.push({ from: i, to: j });
+        }
+    }
+    trapEdges.slice(0, trapCount).forEach(trap => addEdge(trap.from, trap.to, Math.floor(random() * 5) + 1));
+
+    const remainingNeeded = targetEdgeCount - graph.edges.length;
+    if (remainingNeeded > 0) {
+        const allPossibleEdges = [];
+        for (let i = 0; i < nodeCount; i++) {
+            for (let j = i + 1; j < nodeCount; j++) {
+                if (!hasEdge(i, j)) allPossibleEdges.push({ from: i, to: j });
+            }
+        }
+        for (let i = allPossibleEdges.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [allPossibleEdges[i], allPossibleEdges[j]] = [allPossibleEdges[j], allPossibleEdges[i]];
+        }
+        allPossibleEdges.slice(0, remainingNeeded).forEach(edge => addEdge(edge.from, edge.to, Math.floor(random() * 30) + 20));
+    }
+}
+
+export function orientEdgesFromRoot(graph, root, random = Math.random) {
+    const visited = new Set([root]);
+    const queue = [root];
+    const treeEdges = new Set();
+    while (queue.length > 0) {
+        const current = queue.shift();
+        graph.edges.forEach(edge => {
+            if (edge.from === current && !visited.has(edge.to)) {
+                visited.add(edge.to);
+                queue.push(edge.to);
+                treeEdges.add(edge);
+            } else if (edge.to === current && !visited.has(edge.from)) {
+                [edge.from, edge.to] = [edge.to, edge.from];
+                visited.add(edge.to);
+                queue.push(edge.to);
+                treeEdges.add(edge);
+            }
+        });
+    }
+    graph.edges.forEach(edge => {
+        if (!treeEdges.has(edge) && random() < 0.5) [edge.from, edge.to] = [edge.to, edge.from];
+    });
+}
+
+// PRIORITY QUEUE AND INSTRUMENTATION
+export const OBJECTIVE_TERMS = {
+    minimum: { short: 'MST', tree: 'Minimum Spanning', extreme: 'minimum', weightRank: 'lowest', best: 'cheapest', better: 'cheaper', bestKey: 'smallest', worst: 'heaviest', keyChange: 'Decrease-key', keyVerb: 'lowered', heap: 'min-heap', order: 'ascending', up: 'lighter', down: 'heavier', child: 'smaller' },
+    maximum: { short: 'MaxST', tree: 'Maximum Spanning', extreme: 'maximum', weightRank: 'highest', best: 'heaviest', better: 'heavier', bestKey: 'largest', worst: 'lightest', keyChange: 'Increase-key', keyVerb: 'raised', heap: 'max-heap', order: 'descending', up: 'heavier', down: 'lighter', child: 'larger' },
+};
+
+export function createOperationCounters() {
+    return { comparisons: 0, pushes: 0, pops: 0, decreaseKeys: 0, finds: 0, unions: 0, findHops: 0, compressions: 0 };
+}
+
+export function countComparisons(compare, counters) {
+    return (a, b) => {
+        counters.comparisons++;
+        return compare(a, b);
+    };
+}
+
+// Every recorded step carries a snapshot of the counters. Producers pass a function that builds the step (or a list of
+// steps), so with recordSteps off nothing is built and only the counters advance, which is what the benchmark measures.
+export function createStepRecorder(counters, recordSteps = true) {
+    const steps = [];
+    const record = build => {
+        if (!recordSteps) return;
+        const built = build();
+        (Array.isArray(built) ? built : [built]).forEach(step => steps.push({ ...step, counters: { ...counters } }));
+    };
+    return { steps, record };
+}
+
+export function createMinHeap(compare, counters = createOperationCounters(), recordTraces = true) {
+    const items = [];
+    const snapshot = () => (recordTraces ? clone(items) : null);
+    const swap = (trace, from, to) => {
+        [items[from], items[to]] = [items[to], items[from]];
+        if (recordTraces) trace.swaps.push({ items: clone(items), moved: to, displaced: from });
+    };
+    const siftUp = (trace, i) => {
+        while (i > 0) {
+            const parent = Math.floor((i - 1) / 2);
+            if (compare(items[i], items[parent]) >= 0) break;
+            swap(trace, i, parent);
+            i = parent;
+        }
+    };
+    const siftDown = (trace, i) => {
+        while (true) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < items.length && compare(items[left], items[smallest]) < 0) smallest = left;
+            if (right < items.length && compare(items[right], items[smallest]) < 0) smallest = right;
+            if (smallest === i) break;
+            swap(trace, i, smallest);
+            i = smallest;
+        }
+    };
+
+    return {
+        items,
+        size: () => items.length,
+        push(item) {
+            counters.pushes++;
+            items.push(item);
+            const trace = { placed: snapshot(), swaps: [] };
+            siftUp(trace, items.length - 1);
+            return trace;
+        },
+        pop() {
+            counters.pops++;
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) items[0] = last;
+            const trace = { top, placed: snapshot(), swaps: [] };
+            if (items.length > 0) siftDown(trace, 0);
+            return trace;
+        },
+        decreaseKey(index) {
+            counters.decreaseKeys++;
+            const trace = { placed: snapshot(), swaps: [] };
+            siftUp(trace, index);
+            return trace;
+        },
+        indexWhere: predicate => items.findIndex(predicate),
+    };
+}
+
+export function createEdgeComparator(graph, { maximize = false, tieBreak = 'index' } = {}) {
+    const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+    const labelKey = edge => [labelOf(edge.from), labelOf(edge.to)].sort().join('');
+    const positions = new Map(graph.edges.map((edge, index) => [edge, index]));
+    const indexOf = edge => positions.get(edge) ?? graph.edges.findIndex(e => edgesMatch(graph, e, edge));
+    const randomRank = graph.edges.map(() => Math.random());
+
+    return (a, b) => {
+        if (a.weight !== b.weight) return maximize ? b.weight - a.weight : a.weight - b.weight;
+        if (tieBreak === 'label') return labelKey(a).localeCompare(labelKey(b));
+        if (tieBreak === 'random') return randomRank[indexOf(a)] - randomRank[indexOf(b)];
+        return indexOf(a) - indexOf(b);
+    };
+}
+
+// STEP TRACES
+export function heapItemLabel(graph, item) {
+    if (item.node !== undefined) {
+        const nodeLabel = graph.nodes.find(n => n.id === item.node)?.label || '?';
+        return `${nodeLabel} (key ${item.weight})`;
+    }
+    const fromLabel = graph.nodes.find(n => n.id === item.edge.from)?.label || '?';
+    const toLabel = graph.nodes.find(n => n.id === item.edge.to)?.label || '?';
+    return `${fromLabel}-${toLabel} (${item.weight})`;
+}
+
+export function describeCycle(graph, edge, path, terms) {
+    const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+    const edgeName = e => `${labelOf(e.from)}-${labelOf(e.to)}`;
+    const isWorse = (a, b) => (terms.worst === 'heaviest' ? a.weight > b.weight : a.weight < b.weight);
+    const worst = path.reduce((current, e) => (isWorse(e, current) ? e : current), edge);
+    const tied = worst === edge && path.some(e => e.weight === edge.weight);
+    return `<div class="step-explanation"><em>Cycle property:</em> the tree already joins ${labelOf(edge.from)} and ${labelOf(edge.to)} through ${path.map(e => `${edgeName(e)} (${e.weight})`).join(', ')}, drawn in purple. With <strong>${edgeName(edge)}</strong> this path would close a cycle, and the ${terms.worst} edge on it is <strong>${edgeName(worst)}</strong> (weight ${worst.weight})${tied ? ', tied with a tree edge' : ''}. The ${terms.worst} edge of a cycle can always be left out of a ${terms.tree} Tree, so discarding this edge loses nothing.</div>`;
+}
+
+function heapSwapSteps(graph, terms, trace, direction, visited, pseudoLine) {
+    return trace.swaps.map(({ items, moved, displaced }) => {
+        const reason = direction === 'up'
+            ? `is ${terms.up} than its parent <strong>${heapItemLabel(graph, items[displaced])}</strong>`
+            : `is ${terms.down} than its ${terms.child} child <strong>${heapItemLabel(graph, items[displaced])}</strong>`;
+        return {
+            description: `<div class="step-highlight">Heap sift-${direction}</div><div class="step-explanation"><strong>${heapItemLabel(graph, items[moved])}</strong> ${reason}, so the two swap places to restore the ${terms.heap} order.</div>`,
+            priorityQueue: items, heapHighlight: [moved, displaced], visitedNodes: [...visited],
+            pseudoLine,
+        };
+    });
+}
+
+export function primSteps(graph, {
+    startNodeId, variant = 'lazy', showSwaps = true, spanningForest = false, objective = 'minimum', tieBreak = 'index',
+    counters = createOperationCounters(), recordSteps = true,
+} = {}) {
+    if (graph.nodes.length === 0) return [];
+    const rootId = graph.nodes.some(n => n.id === startNodeId) ? startNodeId : graph.nodes[0].id;
+    const options = { showSwaps, spanningForest, objective, tieBreak, counters, recordSteps };
+    return variant === 'eager' ? eagerPrimSteps(graph, rootId, options) : lazyPrimSteps(graph, rootId, options);
+}
+
+function lazyPrimSteps(graph, startNodeId, { showSwaps, spanningForest, objective, tieBreak, counters, recordSteps }) {
+    const { steps, record } = createStepRecorder(counters, recordSteps);
+    const visited = new Set();
+    const edges = [...graph.edges];
+    const maximize = objective === 'maximum';
+    const terms = OBJECTIVE_TERMS[maximize ? 'maximum' : 'minimum'];
+    const compareEdges = countComparisons(createEdgeComparator(graph, { maximize, tieBreak }), counters);
+    const heap = createMinHeap((a, b) => compareEdges(a.edge, b.edge) || a.seq - b.seq, counters, recordSteps);
+    const treeEdges = [];
+    let seq = 0;
+    let rootId = startNodeId;
+    
+    while (rootId !== undefined) {
+        const rootLabel = graph.nodes.find(n => n.id === rootId).label;
+        visited.add(rootId);
+
+        record(() => ({
+            description: rootId === startNodeId
+                ? `<div class="step-highlight">Starting Prim's from node ${rootLabel}</div><div class="step-explanation">The algorithm begins. Visited set is initialized with the start node, and all its adjacent edges are inserted into a binary ${terms.heap}.</div>`
+                : `<div class="step-highlight">Restarting Prim's from node ${rootLabel}</div><div class="step-explanation">The heap ran empty but some nodes are still unvisited, so they lie in another connected component. Prim's restarts there to grow the next tree of the spanning forest.</div>`,
+            priorityQueue: [],
+            visitedNodes: [...visited],
+            pseudoLine: 2,
+        }));
+    
+        edges.forEach(edge => {
+            if ((edge.from === rootId && !visited.has(edge.to)) || (edge.to === rootId && !visited.has(edge.from))) {
+                const trace = heap.push({ edge, weight: edge.weight, seq: seq++ });
+                if (showSwaps) record(() => heapSwapSteps(graph, terms, trace, 'up', visited, 3));
+            }
+        });
+    
+        record(() => ({
+            description: `<div class="step-highlight">Priority Queue initialized</div><div class="step-explanation">Every edge leaving node ${rootLabel} is now in the heap. The ${terms.best} one sits at the root.</div>`,
+            priorityQueue: clone(heap.items),
+            visitedNodes: [...visited],
+            pseudoLine: 3,
+        }));
+    
+        while (visited.size < graph.nodes.length && heap.size() > 0) {
+            const trace = heap.pop();
+            const minEdge = trace.top.edge;
+        
+            const fromNodeLabel = graph.nodes.find(n => n.id === minEdge.from)?.label || '?';
+            const toNodeLabel = graph.nodes.find(n => n.id === minEdge.to)?.label || '?';
+
+            record(() => ({
+                action: 'considerEdge', edge: minEdge,
+                description: `<div class="step-highlight">Extracting ${terms.extreme} edge</div><div class="step-explanation">The edge with the ${terms.weightRank} weight, <strong>${fromNodeLabel}-${toNodeLabel}</strong> (weight ${minEdge.weight}), is removed from the root of the heap for consideration. The last heap element takes its place.</div>`,
+                priorityQueue: trace.placed, visitedNodes: [...visited],
+                pseudoLine: 5,
+            }));
+            if (showSwaps) record(() => heapSwapSteps(graph, terms, trace, 'down', visited, 5));
+        
+            const fromVisited = visited.has(minEdge.from);
+            const toVisited = visited.has(minEdge.to);
+        
+            if ((fromVisited && !toVisited) || (!fromVisited && toVisited)) {
+                const newNodeId = fromVisited ? minEdge.to : minEdge.from;
+                const newNode = graph.nodes.find(n => n.id === newNodeId);
+            
+                record(() => ({
+                    action: 'addEdge', edge: minEdge,
+                    description: `<div class="step-highlight">✓ Edge added to ${terms.short}</div><div class="step-explanation">This edge connects a visited node to an unvisited one (${newNode.label}). It's a safe edge to add to our ${terms.tree} Tree.</div><div class="step-explanation"><em>Cut property:</em> it is the ${terms.best} edge crossing the cut between the visited nodes and the rest, so some ${terms.tree} Tree contains it.</div>`,
+                    priorityQueue: clone(heap.items), visitedNodes: [...visited],
+                    pseudoLine: 7,
+                }));
+                treeEdges.push(minEdge);
+            
+                visited.add(newNodeId);
+            
+                edges.forEach(edge => {
+                    const fromNew = (edge.from === newNodeId && !visited.has(edge.to));
+                    const toNew = (edge.to === newNodeId && !visited.has(edge.from));
+                    if (fromNew || toNew) {
+                            const pushTrace = heap.push({ edge, weight: edge.weight, seq: seq++ });
+                            if (showSwaps) record(() => heapSwapSteps(graph, terms, pushTrace, 'up', visited, 10));
+                    }
+                });
+            
+                record(() => ({
+                    description: `<div class="step-highlight">Updating Priority Queue</div><div class="step-explanation">Node ${newNode.label} is now visited. All its edges that lead to unvisited nodes are inserted into the heap.</div>`,
+                    priorityQueue: clone(heap.items), visitedNodes: [...visited],
+                    pseudoLine: 10,
+                }));
+            } else {
+                record(() => {
+                    const cyclePath = findTreePath(treeEdges, minEdge.from, minEdge.to);
+                    return {
+                        action: 'showInvalid', edge: minEdge, invalidEdges: [minEdge], cyclePath,
+                        description: `<div class="step-highlight">❌ Edge discarded</div><div class="step-explanation">This edge connects two nodes that are already in the visited set. Adding it would create a cycle, so this stale heap entry is ignored.</div>${describeCycle(graph, minEdge, cyclePath, terms)}`,
+                        priorityQueue: clone(heap.items), visitedNodes: [...visited],
+                        pseudoLine: 12,
+                    };
+                });
+            }
+        }
+        rootId = spanningForest ? graph.nodes.find(n => !visited.has(n.id))?.id : undefined;
+    }
+    record(() => ({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">No more valid edges can be added. The ${terms.tree} ${spanningForest ? 'Forest' : 'Tree'} is complete.</div>`, priorityQueue: [], visitedNodes: [...visited], pseudoLine: 13, }));
+    return steps;
+}
+
+function eagerPrimSteps(graph, startNodeId, { showSwaps, spanningForest, objective, tieBreak, counters, recordSteps }) {
+    const { steps, record } = createStepRecorder(counters, recordSteps);
+    const visited = new Set();
+    const edges = [...graph.edges];
+    const maximize = objective === 'maximum';
+    const terms = OBJECTIVE_TERMS[maximize ? 'maximum' : 'minimum'];
+    const compareEdges = countComparisons(createEdgeComparator(graph, { maximize, tieBreak }), counters);
+    const heap = createMinHeap((a, b) => compareEdges(a.edge, b.edge) || a.seq - b.seq, counters, recordSteps);
+    let seq = 0;
+    const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+
+    const scan = nodeId => {
+        edges.forEach(edge => {
+            const other = edge.from === nodeId ? edge.to : (edge.to === nodeId ? edge.from : null);
+            if (other === null || visited.has(other)) return;
+
+            const edgeLabel = `${labelOf(edge.from)}-${labelOf(edge.to)}`;
+            const index = heap.indexWhere(item => item.node === other);
+            if (index === -1) {
+                const trace = heap.push({ node: other, weight: edge.weight, edge, seq: seq++ });
+                record(() => ({
+                    action: 'considerEdge', edge,
+                    description: `<div class="step-highlight">Inserting ${labelOf(other)} into the heap</div><div class="step-explanation">${labelOf(other)} is reached for the first time through <strong>${edgeLabel}</strong>, so it enters the indexed heap with key ${edge.weight}.</div>`,
+                    priorityQueue: trace.placed, heapHighlight: [trace.placed.length - 1], visitedNodes: [...visited],
+                    pseudoLine: 12,
+                }));
+                if (showSwaps) record(() => heapSwapSteps(graph, terms, trace, 'up', visited, 12));
+            } else if (compareEdges(edge, heap.items[index].edge) < 0) {
+                const oldEdge = heap.items[index].edge;
+                const oldWeight = heap.items[index].weight;
+                heap.items[index].weight = edge.weight;
+                heap.items[index].edge = edge;
+                const trace = heap.decreaseKey(index);
+                record(() => ({
+                    action: 'showInvalid', edge: oldEdge, invalidEdges: [oldEdge],
+                    description: `<div class="step-highlight">${terms.keyChange} on ${labelOf(other)}</div><div class="step-explanation"><strong>${edgeLabel}</strong> (weight ${edge.weight}) is ${terms.better} than ${labelOf(other)}'s current key ${oldWeight}. The key is ${terms.keyVerb} in place and the old edge can no longer be chosen.</div>`,
+                    priorityQueue: trace.placed, heapHighlight: [index], visitedNodes: [...visited],
+                    pseudoLine: 13,
+                }));
+                if (showSwaps) record(() => heapSwapSteps(graph, terms, trace, 'up', visited, 13));
+            } else {
+                record(() => ({
+                    action: 'showInvalid', edge, invalidEdges: [edge],
+                    description: `<div class="step-highlight">Edge ignored</div><div class="step-explanation"><strong>${edgeLabel}</strong> (weight ${edge.weight}) is not ${terms.better} than ${labelOf(other)}'s current key ${heap.items[index].weight}, so the heap is left unchanged.</div>`,
+                    priorityQueue: clone(heap.items), heapHighlight: [index], visitedNodes: [...visited],
+                    pseudoLine: 13,
+                }));
+            }
+        });
+    };
+
+    let rootId = startNodeId;
+    while (rootId !== undefined) {
+        visited.add(rootId);
+
+        record(() => ({
+            description: rootId === startNodeId
+                ? `<div class="step-highlight">Starting eager Prim's from node ${labelOf(rootId)}</div><div class="step-explanation">The heap holds at most one entry per vertex, keyed by the ${terms.best} known edge connecting it to the tree. The start node's edges are scanned first.</div>`
+                : `<div class="step-highlight">Restarting eager Prim's from node ${labelOf(rootId)}</div><div class="step-explanation">The heap ran empty but some nodes are still unvisited, so they lie in another connected component. Prim's restarts there to grow the next tree of the spanning forest.</div>`,
+            priorityQueue: [], visitedNodes: [...visited],
+            pseudoLine: 4,
+        }));
+        scan(rootId);
+
+        while (heap.size() > 0) {
+            const trace = heap.pop();
+            const { node: nodeId, edge } = trace.top;
+
+            record(() => ({
+                action: 'considerEdge', edge,
+                description: `<div class="step-highlight">Extracting ${terms.extreme} vertex</div><div class="step-explanation">${labelOf(nodeId)} has the ${terms.bestKey} key (${edge.weight}) and is removed from the root of the heap. The last heap element takes its place.</div>`,
+                priorityQueue: trace.placed, visitedNodes: [...visited],
+                pseudoLine: 6,
+            }));
+            if (showSwaps) record(() => heapSwapSteps(graph, terms, trace, 'down', visited, 6));
+
+            record(() => ({
+                action: 'addEdge', edge,
+                description: `<div class="step-highlight">✓ Edge added to ${terms.short}</div><div class="step-explanation"><strong>${labelOf(edge.from)}-${labelOf(edge.to)}</strong> is the ${terms.best} edge connecting ${labelOf(nodeId)} to the tree, so it is added to the ${terms.short}.</div><div class="step-explanation"><em>Cut property:</em> no edge crossing the cut between the visited nodes and the rest is ${terms.better}, so some ${terms.tree} Tree contains it.</div>`,
+                priorityQueue: clone(heap.items), visitedNodes: [...visited],
+                pseudoLine: 7,
+            }));
+            visited.add(nodeId);
+
+            record(() => ({
+                description: `<div class="step-highlight">Scanning edges of ${labelOf(nodeId)}</div><div class="step-explanation">${labelOf(nodeId)} is now visited. Each of its edges to an unvisited node may insert that node or ${maximize ? 'raise' : 'lower'} its key.</div>`,
+                priorityQueue: clone(heap.items), visitedNodes: [...visited],
+                pseudoLine: 8,
+            }));
+            scan(nodeId);
+        }
+        rootId = spanningForest ? graph.nodes.find(n => !visited.has(n.id))?.id : undefined;
+    }
+    record(() => ({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">The heap is empty. The ${terms.tree} ${spanningForest ? 'Forest' : 'Tree'} is complete.</div>`, priorityQueue: [], visitedNodes: [...visited], pseudoLine: 9, }));
+    return steps;
+}
+
+export function kruskalSteps(graph, {
+    unionStrategy = 'naive', pathCompression = false, spanningForest = false, objective = 'minimum', tieBreak = 'index',
+    counters = createOperationCounters(), recordSteps = true,
+} = {}) {
+    const { steps, record } = createStepRecorder(counters, recordSteps);
+    const edges = [...graph.edges];
+    const maximize = objective === 'maximum';
+    const terms = OBJECTIVE_TERMS[maximize ? 'maximum' : 'minimum'];
+    
+    edges.sort(countComparisons(createEdgeComparator(graph, { maximize, tieBreak }), counters));
+
+    const nodeIds = graph.nodes.map(n => n.id);
+    const parent = {};
+    const rank = {};
+    const size = {};
+    nodeIds.forEach(id => {
+        parent[id] = id;
+        rank[id] = 0;
+        size[id] = 1;
+    });
+
+    const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+    const findPath = u => {
+        const path = [u];
+        while (parent[path[path.length - 1]] !== path[path.length - 1]) path.push(parent[path[path.length - 1]]);
+        return path;
+    };
+    const compress = path => {
+        const root = path[path.length - 1];
+        return path.slice(0, -1).filter(id => {
+            if (parent[id] === root) return false;
+            parent[id] = root;
+            return true;
+        });
+    };
+    const link = (rootU, rootV) => {
+        let newRoot = rootU;
+        let child = rootV;
+        if (unionStrategy === 'rank' && rank[rootV] > rank[rootU]) [newRoot, child] = [rootV, rootU];
+        if (unionStrategy === 'size' && size[rootV] > size[rootU]) [newRoot, child] = [rootV, rootU];
+        parent[child] = newRoot;
+        if (unionStrategy === 'rank' && rank[newRoot] === rank[child]) rank[newRoot]++;
+        size[newRoot] += size[child];
+        return { newRoot, child };
+    };
+    const getDisjointSets = () => {
+        const sets = {};
+        graph.nodes.forEach(node => {
+            const root = findPath(node.id).pop();
+            if (!sets[root]) sets[root] = [];
+            sets[root].push(node.id);
+        });
+        return Object.values(sets);
+    };
+    const getUnionFind = () => ({ parent: { ...parent }, rank: { ...rank }, size: { ...size }, strategy: unionStrategy });
+    
+    const strategyNames = { naive: 'naive linking', rank: 'union by rank', size: 'union by size' };
+    record(() => ({
+        description: `<div class="step-highlight">Starting Kruskal's algorithm</div><div class="step-explanation">First, all edges in the graph are sorted by weight in ${terms.order} order. Each node starts as the root of its own union-find tree (${strategyNames[unionStrategy]}, path compression ${pathCompression ? 'on' : 'off'}).</div>`,
+        sortedEdges: clone(edges), disjointSets: getDisjointSets(), unionFind: getUnionFind(),
+        pseudoLine: 3,
+    }));
+    
+    const targetEdges = graph.nodes.length - findConnectedComponents(graph).length;
+    const treeEdges = [];
+    let edgesAdded = 0;
+    for (let i = 0; i < edges.length; i++) {
+        if (edgesAdded >= targetEdges) break;
+        const edge = edges[i];
+        
+        const fromNodeLabel = labelOf(edge.from);
+        const toNodeLabel = labelOf(edge.to);
+
+        record(() => ({
+            action: 'considerEdge', edge: edge,
+            description: `<div class="step-highlight">Considering next edge</div><div class="step-explanation">The next edge in the sorted list, <strong>${fromNodeLabel}-${toNodeLabel}</strong> (weight ${edge.weight}), is considered.</div>`,
+            sortedEdges: edges.slice(i + 1), disjointSets: getDisjointSets(), unionFind: getUnionFind(),
+            pseudoLine: 4,
+        }));
+
+        const roots = [edge.from, edge.to].map(nodeId => {
+            const path = findPath(nodeId);
+            const root = path[path.length - 1];
+            counters.finds++;
+            counters.findHops += path.length - 1;
+            record(() => ({
+                description: `<div class="step-highlight">find(${labelOf(nodeId)})</div><div class="step-explanation">Following parent pointers ${path.map(labelOf).join(' → ')} leads to the root <strong>${labelOf(root)}</strong>${path.length > 1 ? ` after ${path.length - 1} hop${path.length > 2 ? 's' : ''}` : ''}.</div>`,
+                sortedEdges: edges.slice(i + 1), disjointSets: getDisjointSets(), unionFind: getUnionFind(),
+                ufHighlight: { kind: 'find', nodes: path },
+                pseudoLine: 5,
+            }));
+
+            if (pathCompression) {
+                const compressed = compress(path);
+                counters.compressions += compressed.length;
+                if (compressed.length > 0) {
+                    record(() => ({
+                        description: `<div class="step-highlight">Path compression</div><div class="step-explanation">${compressed.map(labelOf).join(', ')} now point${compressed.length === 1 ? 's' : ''} directly to the root <strong>${labelOf(root)}</strong>, so later finds on this path take a single hop.</div>`,
+                        sortedEdges: edges.slice(i + 1), disjointSets: getDisjointSets(), unionFind: getUnionFind(),
+                        ufHighlight: { kind: 'compress', nodes: compressed },
+                        pseudoLine: 5,
+                    }));
+                }
+            }
+            return root;
+        });
+        
+        if (roots[0] !== roots[1]) {
+            edgesAdded++;
+            treeEdges.push(edge);
+            record(() => ({
+                action: 'addEdge', edge: edge,
+                description: `<div class="step-highlight">✓ Edge added to ${terms.short}</div><div class="step-explanation">The nodes of this edge have different roots (${labelOf(roots[0])} and ${labelOf(roots[1])}), so they belong to different sets. Adding it will not form a cycle. It is added to the ${terms.short}.</div><div class="step-explanation"><em>Cut property:</em> every ${terms.up} edge has already been processed, so this is the ${terms.best} edge crossing the cut between ${labelOf(roots[0])}'s set and the rest of the graph.</div>`,
+                sortedEdges: edges.slice(i + 1), disjointSets: getDisjointSets(), unionFind: getUnionFind(),
+                pseudoLine: 6,
+            }));
+
+            const { newRoot, child } = link(roots[0], roots[1]);
+            counters.unions++;
+            let reason = 'With naive linking the second root is simply attached under the first.';
+            if (unionStrategy === 'rank') reason = `By rank, the shallower tree goes under the deeper one; ${labelOf(newRoot)} now has rank ${rank[newRoot]}.`;
+            if (unionStrategy === 'size') reason = `By size, the smaller tree goes under the larger one; ${labelOf(newRoot)}'s tree now has ${size[newRoot]} nodes.`;
+            
+            record(() => ({
+                description: `<div class="step-highlight">Union of sets</div><div class="step-explanation">Root <strong>${labelOf(child)}</strong> now points to root <strong>${labelOf(newRoot)}</strong>, merging the two sets. ${reason}</div>`,
+                sortedEdges: edges.slice(i+1), disjointSets: getDisjointSets(), unionFind: getUnionFind(),
+                ufHighlight: { kind: 'link', nodes: [child, newRoot] },
+                pseudoLine: 7,
+            }));
+        } else {
+            record(() => {
+                const cyclePath = findTreePath(treeEdges, edge.from, edge.to);
+                return {
+                    action: 'showInvalid', edge: edge, invalidEdges: [edge], cyclePath,
+                    description: `<div class="step-highlight">❌ Edge discarded</div><div class="step-explanation">Both nodes of this edge have the root ${labelOf(roots[0])}, so they already belong to the same set. Adding this edge would form a cycle, so it is discarded.</div>${describeCycle(graph, edge, cyclePath, terms)}`,
+                    sortedEdges: edges.slice(i + 1), disjointSets: getDisjointSets(), unionFind: getUnionFind(),
+                    pseudoLine: 9,
+                };
+            });
+        }
+    }
+    record(() => ({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">The ${terms.tree} ${spanningForest ? 'Forest' : 'Tree'} is complete, or all edges have been considered.</div>`, sortedEdges: [], disjointSets: getDisjointSets(), unionFind: getUnionFind(), pseudoLine: 10, }));
+    return { steps, sortedEdges: clone(edges) };
+}
+
+export function boruvkaSteps(graph, { tieBreak = 'index' } = {}) {
+    if (graph.nodes.length === 0) return [];
+    const steps = [];
+    const edges = [...graph.edges];
+
+    const parent = {};
+    graph.nodes.forEach(node => parent[node.id] = node.id);
+
+    const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])));
+    const getComponents = () => {
+        const components = {};
+        graph.nodes.forEach(node => {
+            const root = find(node.id);
+            if (!components[root]) components[root] = [];
+            components[root].push(node.id);
+        });
+        return Object.values(components);
+    };
+    const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+    const componentLabel = component => `{${component.map(labelOf).join(', ')}}`;
+    // Ties must be broken by one total order so that every component agrees on it;
+    // otherwise equal weights can make a phase close a cycle.
+    const compareEdges = createEdgeComparator(graph, { tieBreak });
+    const isCheaper = (a, b) => !b || compareEdges(a, b) < 0;
+
+    steps.push({
+        description: `<div class="step-highlight">Starting Borůvka's algorithm</div><div class="step-explanation">Every node starts as its own component. In each phase, every component picks its cheapest outgoing edge and all picked edges are added at once.</div>`,
+        components: getComponents(), cheapestEdges: [],
+        pseudoLine: 2,
+    });
+
+    let phase = 0;
+    let components = getComponents();
+    while (components.length > 1) {
+        phase++;
+        steps.push({
+            description: `<div class="step-highlight">Phase ${phase}</div><div class="step-explanation">There are ${components.length} components. Each one now looks for the lightest edge that leaves it.</div>`,
+            components: clone(components), cheapestEdges: [],
+            pseudoLine: 3,
+        });
+
+        const cheapestEdges = [];
+        components.forEach(component => {
+            const root = find(component[0]);
+            let cheapest = null;
+            edges.forEach(edge => {
+                const fromRoot = find(edge.from);
+                const toRoot = find(edge.to);
+                if (fromRoot !== toRoot && (fromRoot === root || toRoot === root) && isCheaper(edge, cheapest)) {
+                    cheapest = edge;
+                }
+            });
+            cheapestEdges.push({ component, edge: cheapest });
+
+            if (cheapest) {
+                steps.push({
+                    action: 'considerEdge', edge: cheapest,
+                    description: `<div class="step-highlight">Cheapest edge of ${componentLabel(component)}</div><div class="step-explanation">The lightest edge leaving this component is <strong>${labelOf(cheapest.from)}-${labelOf(cheapest.to)}</strong> (weight ${cheapest.weight}).</div>`,
+                    components: clone(components), cheapestEdges: clone(cheapestEdges),
+                    pseudoLine: 5,
+                });
+            } else {
+                steps.push({
+                    description: `<div class="step-highlight">No edge leaves ${componentLabel(component)}</div><div class="step-explanation">This component is not connected to the rest of the graph, so it cannot be merged.</div>`,
+                    components: clone(components), cheapestEdges: clone(cheapestEdges),
+                    pseudoLine: 5,
+                });
+            }
+        });
+
+        let merged = false;
+        cheapestEdges.forEach(({ component, edge }) => {
+            if (!edge) return;
+            const rootFrom = find(edge.from);
+            const rootTo = find(edge.to);
+            if (rootFrom !== rootTo) {
+                parent[rootTo] = rootFrom;
+                merged = true;
+                steps.push({
+                    action: 'addEdge', edge,
+                    description: `<div class="step-highlight">✓ Merging components</div><div class="step-explanation">Edge <strong>${labelOf(edge.from)}-${labelOf(edge.to)}</strong> (weight ${edge.weight}), the cheapest edge of ${componentLabel(component)}, is added to the MST and the two components it joins become one.</div>`,
+                    components: getComponents(), cheapestEdges: clone(cheapestEdges),
+                    pseudoLine: 9,
+                });
+            } else {
+                steps.push({
+                    description: `<div class="step-highlight">Edge already used</div><div class="step-explanation">Edge <strong>${labelOf(edge.from)}-${labelOf(edge.to)}</strong> was also chosen by another component earlier in this phase, so its endpoints are already in the same component.</div>`,
+                    components: getComponents(), cheapestEdges: clone(cheapestEdges),
+                    pseudoLine: 7,
+                });
+            }
+        });
+
+        components = getComponents();
+        if (!merged) break;
+    }
+    steps.push({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">No component has an outgoing edge left. The Minimum Spanning ${components.length > 1 ? 'Forest' : 'Tree'} is complete.</div>`, components, cheapestEdges: [], pseudoLine: 10, });
+    return steps;
+}
+
+export function reverseDeleteSteps(graph, { spanningForest = false, tieBreak = 'index' } = {}) {
+    const steps = [];
+    const edges = [...graph.edges];
+    const forest = spanningForest && findConnectedComponents(graph).length > 1;
+
+    const compareEdges = createEdgeComparator(graph, { tieBreak });
+    edges.sort((a, b) => compareEdges(b, a));
+
+    const removed = [];
+    const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+    const labelsOf = ids => `{${ids.map(labelOf).join(', ')}}`;
+
+    steps.push({
+        description: `<div class="step-highlight">Starting Reverse-Delete algorithm</div><div class="step-explanation">All edges start in the tree. They are sorted by weight in descending order, and the heaviest edges are tried for deletion first.</div>`,
+        sortedEdges: clone(edges), removedEdges: [], frontier: [], visitedNodes: [],
+        pseudoLine: 2,
+    });
+
+    for (let i = 0; i < edges.length; i++) {
+        const edge = edges[i];
+        const fromNodeLabel = labelOf(edge.from);
+        const toNodeLabel = labelOf(edge.to);
+
+        steps.push({
+            action: 'considerEdge', edge: edge,
+            description: `<div class="step-highlight">Trying to delete the next edge</div><div class="step-explanation">The heaviest remaining edge, <strong>${fromNodeLabel}-${toNodeLabel}</strong> (weight ${edge.weight}), is removed tentatively. Next we check whether ${fromNodeLabel} can still reach ${toNodeLabel}.</div>`,
+            sortedEdges: edges.slice(i + 1), removedEdges: clone(removed), frontier: [edge.from], visitedNodes: [edge.from],
+            pseudoLine: 4,
+        });
+
+        const remaining = edges.filter(e => e !== edge && !removed.includes(e));
+        const reached = new Set([edge.from]);
+        let frontier = [edge.from];
+        while (frontier.length > 0 && !reached.has(edge.to)) {
+            const nextFrontier = [];
+            frontier.forEach(nodeId => {
+                remaining.forEach(e => {
+                    const neighbor = e.from === nodeId ? e.to : (e.to === nodeId ? e.from : null);
+                    if (neighbor !== null && !reached.has(neighbor)) {
+                        reached.add(neighbor);
+                        nextFrontier.push(neighbor);
+                    }
+                });
+            });
+            frontier = nextFrontier;
+            if (frontier.length === 0) break;
+
+            steps.push({
+                action: 'checkConnectivity', edge: edge,
+                description: `<div class="step-highlight">BFS from ${fromNodeLabel}</div><div class="step-explanation">The search expands to ${labelsOf(frontier)}. Reached so far: ${labelsOf([...reached])}.${reached.has(edge.to) ? ` <strong>${toNodeLabel}</strong> has been reached.` : ''}</div>`,
+                sortedEdges: edges.slice(i + 1), removedEdges: clone(removed), frontier: [...frontier], visitedNodes: [...reached],
+                pseudoLine: 5,
+            });
+        }
+
+        if (reached.has(edge.to)) {
+            removed.push(edge);
+            steps.push({
+                action: 'showInvalid', edge: edge, invalidEdges: [edge],
+                description: `<div class="step-highlight">❌ Edge deleted</div><div class="step-explanation">${toNodeLabel} is still reachable from ${fromNodeLabel} without this edge, so it lies on a cycle. Being the heaviest edge on that cycle, it cannot be part of the MST and is deleted.</div>`,
+                sortedEdges: edges.slice(i + 1), removedEdges: clone(removed), frontier: [], visitedNodes: [...reached],
+                pseudoLine: 9,
+            });
+        } else {
+            steps.push({
+                action: 'addEdge', edge: edge,
+                description: `<div class="step-highlight">✓ Edge kept in MST</div><div class="step-explanation">The BFS could not reach ${toNodeLabel} from ${fromNodeLabel}. Deleting this edge would ${forest ? 'split its component' : 'disconnect the graph'}, so it is put back and belongs to the MST.</div>`,
+                sortedEdges: edges.slice(i + 1), removedEdges: clone(removed), frontier: [], visitedNodes: [...reached],
+                pseudoLine: 7,
+            });
+        }
+    }
+    steps.push({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">Every edge has been tried. The edges that were kept form the Minimum Spanning ${forest ? 'Forest' : 'Tree'}.</div>`, sortedEdges: [], removedEdges: clone(removed), frontier: [], visitedNodes: [], pseudoLine: 10, });
+    return { steps, sortedEdges: clone(edges) };
+}
+
+// Ids of the nodes that cannot be reached from rootId along the edge directions.
+export function findUnreachable(graph, rootId) {
+    const reachable = new Set([rootId]);
+    const queue = [rootId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        graph.edges.forEach(edge => {
+            if (edge.from === current && !reachable.has(edge.to)) {
+                reachable.add(edge.to);
+                queue.push(edge.to);
+            }
+        });
+    }
+    return graph.nodes.filter(n => !reachable.has(n.id)).map(n => n.id);
+}
+
+export function edmondsSteps(graph, { rootId } = {}) {
+    if (graph.nodes.length === 0) return [];
+    const root = graph.nodes.some(n => n.id === rootId) ? rootId : graph.nodes[0].id;
+    const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+    const unreachable = findUnreachable(graph, root);
+    if (unreachable.length > 0) {
+        throw new Error(`Following the edge directions, {${unreachable.map(labelOf).join(', ')}} cannot be reached from the root ${labelOf(root)}. Choose another root or add edges so that every node is reachable.`);
+    }
+
+    const steps = [];
+    const members = {};
+    graph.nodes.forEach(node => members[node.id] = [node.id]);
+    const nameOf = id => members[id].length === 1 ? labelOf(members[id][0]) : `{${members[id].map(labelOf).join(', ')}}`;
+    const arcLabel = edge => `${labelOf(edge.from)}→${labelOf(edge.to)}`;
+    const superNodes = [];
+    let superNodeCount = 0;
+
+    const solve = (nodeIds, edges) => {
+        const cheapest = {};
+        const incomingEdges = [];
+        nodeIds.filter(id => id !== root).forEach(id => {
+            edges.forEach(edge => {
+                if (edge.to === id && (!cheapest[id] || edge.weight < cheapest[id].weight)) cheapest[id] = edge;
+            });
+            const edge = cheapest[id];
+            incomingEdges.push({ node: nameOf(id), edge: clone(edge.original), weight: edge.weight });
+            const reduced = edge.weight !== edge.original.weight ? ` (reduced weight ${edge.weight})` : '';
+            steps.push({
+                action: 'considerEdge', edge: clone(edge.original),
+                description: `<div class="step-highlight">Cheapest edge entering ${nameOf(id)}</div><div class="step-explanation">Of all edges pointing into ${nameOf(id)}, <strong>${arcLabel(edge.original)}</strong> (weight ${edge.original.weight}${reduced}) is the lightest.</div>`,
+                incomingEdges: clone(incomingEdges), chosenEdges: incomingEdges.map(item => item.edge), cycleEdges: [], superNodes: clone(superNodes),
+                pseudoLine: 2,
+            });
+        });
+        const chosenEdges = incomingEdges.map(item => item.edge);
+
+        const owner = {};
+        let cycle = null;
+        for (const start of nodeIds) {
+            const path = [];
+            let current = start;
+            while (current !== root && owner[current] === undefined) {
+                owner[current] = start;
+                path.push(current);
+                current = cheapest[current].from;
+            }
+            if (current !== root && owner[current] === start) {
+                cycle = path.slice(path.indexOf(current));
+                break;
+            }
+        }
+
+        if (!cycle) {
+            steps.push({
+                description: `<div class="step-highlight">No cycle</div><div class="step-explanation">The chosen in-edges reach every node from ${labelOf(root)} without forming a cycle, so at this level they already form a minimum arborescence.</div>`,
+                incomingEdges: clone(incomingEdges), chosenEdges: clone(chosenEdges), cycleEdges: [], superNodes: clone(superNodes),
+                pseudoLine: 4,
+            });
+            return nodeIds.filter(id => id !== root).map(id => cheapest[id]);
+        }
+
+        const cycleEdges = cycle.map(id => cheapest[id]);
+        steps.push({
+            description: `<div class="step-highlight">Cycle found</div><div class="step-explanation">The in-edges ${cycleEdges.map(edge => `<strong>${arcLabel(edge.original)}</strong>`).join(', ')} form a cycle through ${cycle.map(nameOf).join(', ')}. An arborescence cannot contain a cycle, so it will be contracted.</div>`,
+            incomingEdges: clone(incomingEdges), chosenEdges: clone(chosenEdges), cycleEdges: cycleEdges.map(edge => clone(edge.original)), superNodes: clone(superNodes),
+            pseudoLine: 5,
+        });
+
+        const superId = `c${++superNodeCount}`;
+        const inCycle = new Set(cycle);
+        members[superId] = cycle.flatMap(id => members[id]);
+        superNodes.push(members[superId]);
+
+        const contracted = [];
+        edges.forEach(edge => {
+            const fromInCycle = inCycle.has(edge.from);
+            const toInCycle = inCycle.has(edge.to);
+            if (fromInCycle && toInCycle) return;
+            if (toInCycle) contracted.push({ from: edge.from, to: superId, weight: edge.weight - cheapest[edge.to].weight, original: edge.original, inner: edge });
+            else if (fromInCycle) contracted.push({ from: superId, to: edge.to, weight: edge.weight, original: edge.original, inner: edge });
+            else contracted.push({ ...edge, inner: edge });
+        });
+        const entering = contracted.filter(edge => edge.to === superId)
+            .map(edge => `${arcLabel(edge.original)}: ${edge.inner.weight} - ${cheapest[edge.inner.to].weight} = ${edge.weight}`);
+        steps.push({
+            description: `<div class="step-highlight">Contracting the cycle into ${nameOf(superId)}</div><div class="step-explanation">The cycle becomes a single super-node. Each edge entering it is reweighted by subtracting the weight of the cycle edge it would replace: ${entering.join('; ')}.</div>`,
+            incomingEdges: [], chosenEdges: [], cycleEdges: [], superNodes: clone(superNodes),
+            pseudoLine: 8,
+        });
+
+        const result = solve([...nodeIds.filter(id => !inCycle.has(id)), superId], contracted);
+
+        const enteringEdge = result.find(edge => edge.to === superId);
+        const dropped = cheapest[enteringEdge.inner.to];
+        const expanded = result.map(edge => edge.inner).concat(cycleEdges.filter(edge => edge !== dropped));
+        superNodes.pop();
+        steps.push({
+            description: `<div class="step-highlight">Expanding ${nameOf(superId)}</div><div class="step-explanation">The arborescence enters the super-node through <strong>${arcLabel(enteringEdge.original)}</strong>, which points at ${nameOf(enteringEdge.inner.to)}. That node now has an in-edge, so the cycle edge <strong>${arcLabel(dropped.original)}</strong> is dropped and the rest of the cycle is kept.</div>`,
+            incomingEdges: [], chosenEdges: expanded.map(edge => clone(edge.original)), cycleEdges: [], superNodes: clone(superNodes),
+            pseudoLine: 10,
+        });
+        return expanded;
+    };
+
+    steps.push({
+        description: `<div class="step-highlight">Starting Chu–Liu/Edmonds algorithm</div><div class="step-explanation">We look for the cheapest set of edges that reaches every node from the root <strong>${labelOf(root)}</strong> along the edge directions. Every other node must get exactly one incoming edge.</div>`,
+        visitedNodes: [root],
+        pseudoLine: 0,
+    });
+
+    const arborescence = solve(graph.nodes.map(n => n.id), graph.edges.map(edge => ({ from: edge.from, to: edge.to, weight: edge.weight, original: edge })));
+
+    arborescence.forEach(edge => {
+        steps.push({
+            action: 'addEdge', edge: clone(edge.original),
+            description: `<div class="step-highlight">✓ Adding ${arcLabel(edge.original)}</div><div class="step-explanation">Edge <strong>${arcLabel(edge.original)}</strong> (weight ${edge.original.weight}) is the incoming edge of ${labelOf(edge.original.to)} in the minimum spanning arborescence.</div>`,
+            chosenEdges: [], cycleEdges: [], superNodes: [],
+            pseudoLine: 11,
+        });
+    });
+    steps.push({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">Every node except the root has exactly one incoming edge. The Minimum Spanning Arborescence is complete.</div>`, incomingEdges: [], chosenEdges: [], cycleEdges: [], superNodes: [], pseudoLine: 11, });
+    return steps;
+}
+
+// Dijkstra over the undirected edges; previous[id] is the edge that reaches id on a shortest path.
+export function shortestPaths(graph, source) {
+    const dist = {};
+    const previous = {};
+    const done = new Set();
+    graph.nodes.forEach(node => dist[node.id] = Infinity);
+    dist[source] = 0;
+    while (done.size < graph.nodes.length) {
+        let current = null;
+        graph.nodes.forEach(node => {
+            if (!done.has(node.id) && (current === null || dist[node.id] < dist[current])) current = node.id;
+        });
+        if (dist[current] === Infinity) break;
+        done.add(current);
+        graph.edges.forEach(edge => {
+            const neighbor = edge.from === current ? edge.to : (edge.to === current ? edge.from : null);
+            if (neighbor !== null && dist[current] + edge.weight < dist[neighbor]) {
+                dist[neighbor] = dist[current] + edge.weight;
+                previous[neighbor] = edge;
+            }
+        });
+    }
+    return { dist, previous };
+}
+
+export function steinerSteps(graph, { terminals = graph.nodes.filter(n => n.isTerminal).map(n => n.id) } = {}) {
+    if (terminals.length < 2) throw new Error('Mark at least two terminal nodes to build a Steiner tree.');
+    const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+    const edgeLabel = edge => `${labelOf(edge.from)}-${labelOf(edge.to)}`;
+    const nodesOf = edges => [...new Set(edges.flatMap(edge => [edge.from, edge.to]))];
+
+    const steps = [];
+    const closure = [];
+    const closurePaths = [];
+    steps.push({
+        description: `<div class="step-highlight">Starting Steiner tree approximation</div><div class="step-explanation">The tree must connect the terminals {${terminals.map(labelOf).join(', ')}}. Other nodes may be used as Steiner points if they make the tree cheaper. The first phase builds the metric closure: the shortest path between every pair of terminals.</div>`,
+        closure: [], chosenEdges: [], visitedNodes: [],
+        pseudoLine: 0,
+    });
+
+    for (let i = 0; i < terminals.length; i++) {
+        const source = terminals[i];
+        const { dist, previous } = shortestPaths(graph, source);
+        for (let j = i + 1; j < terminals.length; j++) {
+            const target = terminals[j];
+            if (dist[target] === Infinity) throw new Error(`Terminals ${labelOf(source)} and ${labelOf(target)} are not connected.`);
+            const path = [target];
+            const pathEdges = [];
+            while (path[0] !== source) {
+                const edge = previous[path[0]];
+                pathEdges.unshift(edge);
+                path.unshift(edge.from === path[0] ? edge.to : edge.from);
+            }
+            closure.push({ from: source, to: target, weight: dist[target], path, inTree: false });
+            closurePaths.push(pathEdges);
+            steps.push({
+                description: `<div class="step-highlight">Shortest path ${labelOf(source)} to ${labelOf(target)}</div><div class="step-explanation">Dijkstra from ${labelOf(source)} finds the path <strong>${path.map(labelOf).join('-')}</strong> with length ${dist[target]}. This becomes the closure edge ${labelOf(source)}–${labelOf(target)}.</div>`,
+                closure: clone(closure), chosenEdges: clone(pathEdges),
+                pseudoLine: 2,
+            });
+        }
+    }
+
+    steps.push({
+        description: `<div class="step-highlight">Metric closure complete</div><div class="step-explanation">The terminals now form a complete graph K with ${closure.length} closure edges, each weighted by a shortest-path distance. Next we build an MST of K.</div>`,
+        closure: clone(closure), chosenEdges: [],
+        pseudoLine: 3,
+    });
+
+    const parent = {};
+    terminals.forEach(id => parent[id] = id);
+    const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])));
+    const order = closure.map((_, index) => index).sort((a, b) => closure[a].weight - closure[b].weight);
+    let accepted = 0;
+    for (const index of order) {
+        if (accepted === terminals.length - 1) break;
+        const item = closure[index];
+        const treePaths = () => closure.flatMap((c, k) => (c.inTree ? closurePaths[k] : []));
+        const rootFrom = find(item.from);
+        const rootTo = find(item.to);
+        if (rootFrom !== rootTo) {
+            parent[rootTo] = rootFrom;
+            item.inTree = true;
+            accepted++;
+            steps.push({
+                description: `<div class="step-highlight">✓ Closure edge ${labelOf(item.from)}–${labelOf(item.to)} joins the terminal MST</div><div class="step-explanation">With distance ${item.weight} it is the lightest closure edge that connects two separate groups of terminals.</div>`,
+                closure: clone(closure), chosenEdges: clone(treePaths()),
+                pseudoLine: 4,
+            });
+        } else {
+            steps.push({
+                description: `<div class="step-highlight">Closure edge ${labelOf(item.from)}–${labelOf(item.to)} skipped</div><div class="step-explanation">${labelOf(item.from)} and ${labelOf(item.to)} are already connected in the terminal MST, so this edge would close a cycle in K.</div>`,
+                closure: clone(closure), chosenEdges: clone(treePaths()),
+                pseudoLine: 4,
+            });
+        }
+    }
+
+    const expanded = [];
+    closure.forEach((item, index) => {
+        if (!item.inTree) return;
+        const newEdges = closurePaths[index].filter(edge => !expanded.includes(edge));
+        if (newEdges.length === 0) {
+            steps.push({
+                description: `<div class="step-highlight">Expanding ${labelOf(item.from)}–${labelOf(item.to)}</div><div class="step-explanation">Every edge of the path <strong>${item.path.map(labelOf).join('-')}</strong> is already in the expanded subgraph H.</div>`,
+                closure: clone(closure), chosenEdges: [], visitedNodes: nodesOf(expanded),
+                pseudoLine: 5,
+            });
+        }
+        newEdges.forEach(edge => {
+            expanded.push(edge);
+            steps.push({
+                action: 'addEdge', edge,
+                description: `<div class="step-highlight">Expanding ${labelOf(item.from)}–${labelOf(item.to)}</div><div class="step-explanation">The closure edge stands for the path <strong>${item.path.map(labelOf).join('-')}</strong>. Its graph edge <strong>${edgeLabel(edge)}</strong> (weight ${edge.weight}) is added to the subgraph H.</div>`,
+                closure: clone(closure), chosenEdges: [], visitedNodes: nodesOf(expanded),
+                pseudoLine: 5,
+            });
+        });
+    });
+
+    const treeParent = {};
+    nodesOf(expanded).forEach(id => treeParent[id] = id);
+    const findInTree = u => (treeParent[u] === u ? u : (treeParent[u] = findInTree(treeParent[u])));
+    let tree = [];
+    const cycleEdges = [];
+    [...expanded].sort((a, b) => a.weight - b.weight).forEach(edge => {
+        const rootFrom = findInTree(edge.from);
+        const rootTo = findInTree(edge.to);
+        if (rootFrom !== rootTo) {
+            treeParent[rootTo] = rootFrom;
+            tree.push(edge);
+        } else {
+            cycleEdges.push(edge);
+        }
+    });
+    if (cycleEdges.length === 0) {
+        steps.push({
+            description: `<div class="step-highlight">H is already a tree</div><div class="step-explanation">The expanded shortest paths do not overlap into a cycle, so the MST of H is H itself.</div>`,
+            closure: clone(closure), visitedNodes: nodesOf(tree),
+            pseudoLine: 6,
+        });
+    }
+    cycleEdges.forEach(edge => {
+        steps.push({
+            action: 'removeEdge', edge,
+            description: `<div class="step-highlight">❌ Removing ${edgeLabel(edge)} from H</div><div class="step-explanation">Two expanded paths overlap and form a cycle. Running an MST on H drops <strong>${edgeLabel(edge)}</strong> (weight ${edge.weight}), the heaviest edge on that cycle.</div>`,
+            closure: clone(closure), visitedNodes: nodesOf(tree),
+            pseudoLine: 6,
+        });
+    });
+
+    let pruned = false;
+    while (true) {
+        const degree = {};
+        tree.forEach(edge => {
+            degree[edge.from] = (degree[edge.from] || 0) + 1;
+            degree[edge.to] = (degree[edge.to] || 0) + 1;
+        });
+        const leafEdge = tree.find(edge =>
+            (degree[edge.from] === 1 && !terminals.includes(edge.from)) ||
+            (degree[edge.to] === 1 && !terminals.includes(edge.to)));
+        if (!leafEdge) break;
+        const leaf = degree[leafEdge.from] === 1 && !terminals.includes(leafEdge.from) ? leafEdge.from : leafEdge.to;
+        tree = tree.filter(edge => edge !== leafEdge);
+        pruned = true;
+        steps.push({
+            action: 'removeEdge', edge: leafEdge,
+            description: `<div class="step-highlight">❌ Pruning leaf ${labelOf(leaf)}</div><div class="step-explanation">${labelOf(leaf)} is not a terminal and has only one tree edge, so <strong>${edgeLabel(leafEdge)}</strong> (weight ${leafEdge.weight}) connects nothing that is needed and is removed.</div>`,
+            closure: clone(closure), visitedNodes: nodesOf(tree),
+            pseudoLine: 8,
+        });
+    }
+    if (!pruned) {
+        steps.push({
+            description: `<div class="step-highlight">No leaves to prune</div><div class="step-explanation">Every leaf of the tree is a terminal.</div>`,
+            closure: clone(closure), visitedNodes: nodesOf(tree),
+            pseudoLine: 7,
+        });
+    }
+
+    const totalWeight = tree.reduce((sum, edge) => sum + edge.weight, 0);
+    steps.push({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">The Steiner tree uses ${tree.length} edges with total weight ${totalWeight}. Its weight is at most 2(1 - 1/${terminals.length}) times that of an optimal Steiner tree.</div>`, closure: clone(closure), visitedNodes: nodesOf(tree), pseudoLine: 9, });
+    return steps;
+}
+
+// STEP TRACE FILES
+/*
+ * A trace file is JSON of the form
+ *   { format: 'mst-step-trace', version: 1, algorithm, pseudocode?, options,
+ *     graph: { directed, nodes: [{ id, label, x, y, isTerminal? }], edges: [{ from, to, weight }] },
+ *     steps: [{ action?, edge?, pseudoLine?, data: { ...panel state }, description }] }
+ * `description` is the rendered HTML shown in the steps panel; everything the canvas and data-structure
+ * panels need lives in `data`. Any edge inside a step is written as a plain { from, to, weight }; a setTree
+ * step may leave its edge out. `pseudocode` names the listing the steps' pseudoLine numbers refer to: the
+ * algorithm's own (the default) or 'dynamic' for a dynamic MST update.
+ * Readers accept every version up to TRACE_VERSION and reject newer ones.
+ */
+export const TRACE_FORMAT = 'mst-step-trace';
+export const TRACE_VERSION = 1;
+export const TRACE_ACTIONS = ['considerEdge', 'addEdge', 'removeEdge', 'showInvalid', 'checkConnectivity', 'setTree'];
+
+const EDGE_KEYS = ['from', 'to', 'weight', 'isInMST'];
+
+function isEdgeLike(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value)
+        && Number.isInteger(value.from) && Number.isInteger(value.to) && Number.isFinite(value.weight)
+        && Object.keys(value).every(key => EDGE_KEYS.includes(key));
+}
+
+// Descriptions from a file keep only plain formatting tags with an optional class; any other markup is shown as text.
+const DESCRIPTION_TAGS = ['div', 'span', 'p', 'strong', 'em', 'b', 'i', 'code', 'br', 'ul', 'ol', 'li'];
+
+export function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export function sanitizeDescription(html) {
+    return html.split(/(<[^>]*>?)/).map(part => {
+        const tag = part.match(/^<\/?([a-z]+)(\s+class="[\w\s-]*")?\s*>$/i);
+        return part.startsWith('<') && !(tag && DESCRIPTION_TAGS.includes(tag[1].toLowerCase())) ? escapeHtml(part) : part;
+    }).join('');
+}
+
+// Step data from a file ends up in the panels' HTML, so it may only hold numbers, booleans, null and edges. Fields that
+// name nodes must use the graph's node ids, and the few text fields must have one of their known values.
+const NODE_ID_KEYS = ['visitedNodes', 'frontier', 'components', 'disjointSets', 'superNodes', 'component', 'path', 'nodes', 'node', 'parent'];
+const NODE_MAP_KEYS = ['parent', 'rank', 'size'];
+const TEXT_VALUES = { kind: ['find', 'link', 'compress'], strategy: ['naive', 'rank', 'size'] };
+
+// Edmonds names a contracted super-node by its members, e.g. "{A, B}".
+function isNodeName(graph, name) {
+    const labels = name.startsWith('{') && name.endsWith('}') ? name.slice(1, -1).split(', ') : [name];
+    return labels.every(label => graph.nodes.some(n => n.label === label));
+}
+
+function checkStepData(graph, value, key, where) {
+    if (value === null || typeof value === 'boolean' || isEdgeLike(value)) return;
+    if (Array.isArray(value)) return value.forEach(item => checkStepData(graph, item, key, where));
+    if (typeof value === 'object') {
+        return Object.entries(value).forEach(([entryKey, item]) => checkStepData(graph, item, NODE_MAP_KEYS.includes(key) ? key : entryKey, where));
+    }
+    if (Number.isFinite(value) && (!NODE_ID_KEYS.includes(key) || graph.nodes.some(n => n.id === value))) return;
+    if (typeof value === 'string' && (TEXT_VALUES[key]?.includes(value) || (key === 'node' && isNodeName(graph, value)))) return;
+    throw new Error(`${where} has an invalid value for "${key}".`);
+}
+
+function mapEdges(value, mapEdge) {
+    if (isEdgeLike(value)) return mapEdge(value);
+    if (value instanceof Set) return [...value].map(item => mapEdges(item, mapEdge));
+    if (Array.isArray(value)) return value.map(item => mapEdges(item, mapEdge));
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapEdges(item, mapEdge)]));
+    return value;
+}
+
+export function toPlainGraph(graph) {
+    return {
+        directed: graph.directed,
+        nodes: graph.nodes.map(({ id, label, x, y, isTerminal }) => (isTerminal ? { id, label, x, y, isTerminal } : { id, label, x, y })),
+        edges: graph.edges.map(({ from, to, weight }) => ({ from, to, weight })),
+    };
+}
+
+export function serializeTrace({ graph, algorithm, pseudocode = algorithm, options = {}, steps }) {
+    const plainEdge = ({ from, to, weight }) => ({ from, to, weight });
+    return {
+        format: TRACE_FORMAT,
+        version: TRACE_VERSION,
+        algorithm,
+        pseudocode,
+        options: clone(options),
+        graph: toPlainGraph(graph),
+        steps: steps.map(({ action, edge, pseudoLine, description, ...data }) => {
+            const step = {};
+            if (action) step.action = action;
+            if (edge) step.edge = mapEdges(edge, plainEdge);
+            if (pseudoLine !== undefined) step.pseudoLine = pseudoLine;
+            step.data = mapEdges(data, plainEdge);
+            step.description = description;
+            return step;
+        }),
+    };
+}
+
+// The app labels nodes A to Z, so a graph holds at most 26 nodes. Labels are shown as HTML, so they stay short and alphanumeric.
+const MAX_GRAPH_NODES = 26;
+const NODE_LABEL_PATTERN = /^[A-Za-z0-9]{1,3}$/;
+
+// Validates plain { directed, nodes, edges } data and returns a fresh graph. Missing labels get the first unused letter; nodes without x/y are left for the caller to place.
+export function parseGraph(source) {
+    if (!source || !Array.isArray(source.nodes) || !Array.isArray(source.edges)) throw new Error('A graph needs a list of nodes and a list of edges.');
+    if (source.nodes.length > MAX_GRAPH_NODES) throw new Error(`A graph can have at most ${MAX_GRAPH_NODES} nodes.`);
+    const graph = createGraph({ directed: !!source.directed });
+    source.nodes.forEach((node, i) => {
+        if (!node || !Number.isInteger(node.id)) throw new Error(`Node ${i + 1} needs an integer id.`);
+        if (node.label !== undefined && (typeof node.label !== 'string' || !NODE_LABEL_PATTERN.test(node.label))) {
+            throw new Error(`Node ${i + 1} needs a label of one to three letters or digits.`);
+        }
+        const hasPosition = node.x !== undefined || node.y !== undefined;
+        if (hasPosition && (!Number.isFinite(node.x) || !Number.isFinite(node.y))) throw new Error(`Node ${i + 1} needs numeric x and y coordinates.`);
+        if (graph.nodes.some(n => n.id === node.id)) throw new Error(`Node id ${node.id} appears more than once.`);
+        if (node.label !== undefined && graph.nodes.some(n => n.label === node.label)) throw new Error(`Node label ${node.label} appears more than once.`);
+        const parsed = { id: node.id, label: node.label };
+        if (hasPosition) Object.assign(parsed, { x: node.x, y: node.y });
+        if (node.isTerminal) parsed.isTerminal = true;
+        graph.nodes.push(parsed);
+    });
+    const unusedLabels = Array.from({ length: MAX_GRAPH_NODES }, (_, i) => String.fromCharCode(65 + i)).filter(label => !graph.nodes.some(n => n.label === label));
+    graph.nodes.filter(node => node.label === undefined).forEach(node => { node.label = unusedLabels.shift(); });
+    source.edges.forEach((edge, i) => {
+        if (!isEdgeLike(edge) || edge.from === edge.to || !graph.nodes.some(n => n.id === edge.from) || !graph.nodes.some(n => n.id === edge.to)) {
+            throw new Error(`Edge ${i + 1} must join two different nodes of the graph and have a numeric weight.`);
+        }
+        if (!Number.isInteger(edge.weight) || edge.weight <= 0) throw new Error(`Edge ${i + 1} needs a positive whole-number weight.`);
+        if (graph.edges.some(e => edgesMatch(graph, e, edge))) throw new Error(`Edge ${i + 1} duplicates an earlier edge.`);
+        graph.edges.push({ from: edge.from, to: edge.to, weight: edge.weight, isInMST: false });
+    });
+    return graph;
+}
+
+// Validates a trace (JSON text or parsed object) and returns a graph plus steps whose edges are that graph's edge objects.
+export function parseTrace(input, { algorithms } = {}) {
+    let trace = input;
+    if (typeof input === 'string') {
+        try {
+            trace = JSON.parse(input);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+    }
+    if (!trace || typeof trace !== 'object' || trace.format !== TRACE_FORMAT) throw new Error('This file is not an MST step trace.');
+    if (!Number.isInteger(trace.version) || trace.version < 1) throw new Error('The trace has no valid version number.');
+    if (trace.version > TRACE_VERSION) throw new Error(`The trace uses format version ${trace.version}, but this visualizer only reads up to version ${TRACE_VERSION}.`);
+    if (typeof trace.algorithm !== 'string') throw new Error('The trace does not name its algorithm.');
+    if (algorithms && !algorithms.includes(trace.algorithm)) throw new Error(`The trace was made with "${trace.algorithm}", which is not available here.`);
+    const pseudocode = trace.pseudocode ?? trace.algorithm;
+    if (pseudocode !== trace.algorithm && pseudocode !== 'dynamic') throw new Error(`The trace refers to unknown pseudocode "${pseudocode}".`);
+
+    const options = trace.options ?? {};
+    if (typeof options !== 'object' || Array.isArray(options) || !Object.values(options).every(value => ['string', 'number', 'boolean'].includes(typeof value))) {
+        throw new Error('The trace options must be plain settings.');
+    }
+
+    const graph = parseGraph(trace.graph);
+
+    if (!Array.isArray(trace.steps) || trace.steps.length === 0) throw new Error('The trace has no steps.');
+    const toGraphEdge = edge => graph.edges.find(e => edgesMatch(graph, e, edge) && e.weight === edge.weight) || { from: edge.from, to: edge.to, weight: edge.weight };
+    const steps = trace.steps.map((step, i) => {
+        const where = `Step ${i + 1}`;
+        if (!step || typeof step !== 'object') throw new Error(`${where} is not an object.`);
+        if (typeof step.description !== 'string') throw new Error(`${where} has no description.`);
+        if (step.pseudoLine !== undefined && step.pseudoLine !== null && !Number.isInteger(step.pseudoLine)) throw new Error(`${where} has an invalid pseudocode line.`);
+        if (step.data !== undefined && (typeof step.data !== 'object' || step.data === null || Array.isArray(step.data))) throw new Error(`${where} has invalid data.`);
+        if (step.action !== undefined && !TRACE_ACTIONS.includes(step.action)) throw new Error(`${where} has the unknown action "${step.action}".`);
+        const edgeOptional = step.action === 'setTree' && (step.edge === undefined || step.edge === null);
+        if (step.action && !edgeOptional && !isEdgeLike(step.edge)) throw new Error(`${where} (${step.action}) needs an edge.`);
+        if ((step.action === 'addEdge' || step.action === 'removeEdge') && !graph.edges.some(e => edgesMatch(graph, e, step.edge))) {
+            throw new Error(`${where} adds or removes an edge that is not in the graph.`);
+        }
+        if (step.action === 'setTree' && !Array.isArray(step.data?.treeEdges)) throw new Error(`${where} (setTree) needs a list of tree edges.`);
+        checkStepData(graph, step.data || {}, 'data', where);
+
+        const restored = { ...mapEdges(step.data || {}, toGraphEdge), description: sanitizeDescription(step.description) };
+        if (step.action) restored.action = step.action;
+        if (step.edge) restored.edge = mapEdges(step.edge, toGraphEdge);
+        if (step.pseudoLine !== undefined) restored.pseudoLine = step.pseudoLine;
+        return restored;
+    });
+
+    return { algorithm: trace.algorithm, pseudocode, options, graph, steps, version: trace.version };
+}
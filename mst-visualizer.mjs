@@ -0,0 +1,193 @@
+import { TRACE_FORMAT } from './mst-core.mjs';
+import { mountVisualizer } from './script.js';
+
+/*
+ * <mst-visualizer> runs an independent copy of the visualizer in its own shadow root, so a page can hold several.
+ *
+ *   <script type="module" src="mst-visualizer.mjs"></script>
+ *   <mst-visualizer algorithm="kruskal" theme="light" controls="playback panels" src="graphs/lecture3.json"></mst-visualizer>
+ *
+ * Attributes:
+ *   algorithm  id of a registered algorithm, e.g. "prim", "kruskal", "boruvka"
+ *   src        URL of a graph or step-trace JSON file
+ *   graph      the same JSON inline; a child <script type="application/json"> also works
+ *   mode       "generative" (default) or "user"
+ *   theme      "light" (default) or "dark"
+ *   controls   sections to show: any of header, settings, playback, panels, info, or "all" (default) / "none"
+ *
+ * The element's `visualizer` property (and the `ready` promise) give the same API as window.MSTVisualizer.
+ * Its events are re-dispatched on the element as mst-step, mst-edgeAdded, mst-complete, mst-graphChanged and mst-reset;
+ * mst-ready fires once mounted and mst-error when an attribute cannot be applied.
+ * Removing the element stops it; inserting it again mounts a fresh visualizer.
+ */
+
+const CONTROL_SECTIONS = {
+    header: ['header'],
+    settings: ['.control-panel'],
+    playback: ['.animation-controls-panel'],
+    panels: ['.vis-right'],
+    info: ['.algorithm-info-sections', '#user-mode-instructions'],
+};
+const VISUALIZER_EVENTS = ['step', 'edgeAdded', 'complete', 'graphChanged', 'reset'];
+
+const EMBED_STYLES = `
+:host { display: block; }
+:host([hidden]) { display: none; }
+.mst-body { min-height: 0; border-radius: 15px; }
+.visualization-area { min-width: 0; }
+.mst-error { padding: 20px; color: #f44336; font-family: sans-serif; }
+`;
+
+let templatePromise = null;
+
+function fetchText(url) {
+    return fetch(url).then(response => {
+        if (!response.ok) throw new Error(`Could not load ${url} (HTTP ${response.status}).`);
+        return response.text();
+    });
+}
+
+// style.css is written for the standalone page: its :root variables move onto the host and its body rules onto .mst-body.
+function scopeStyles(css) {
+    return css
+        .replace(/:root\b/g, ':host')
+        .replace(/(^|[\s,}(])body(?=[\s.:{,)])/gm, '$1.mst-body') + EMBED_STYLES;
+}
+
+// Fonts declared inside a shadow root are not loaded, so the page gets the font stylesheet once.
+function loadFonts(css) {
+    const match = css.match(/@import url\(['"]?([^'")]+)['"]?\)/);
+    if (!match || document.querySelector(`link[href="${match[1]}"]`)) return;
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = match[1];
+    document.head.appendChild(link);
+}
+
+// index.html stays the single source of the markup; it and style.css are fetched once per page.
+function loadTemplate() {
+    if (!templatePromise) {
+        const base = import.meta.url;
+        templatePromise = Promise.all([fetchText(new URL('index.html', base)), fetchText(new URL('style.css', base))]).then(([html, css]) => {
+            const page = new DOMParser().parseFromString(html, 'text/html');
+            page.querySelectorAll('script').forEach(script => script.remove());
+            loadFonts(css);
+            return { markup: page.body.innerHTML, css: scopeStyles(css) };
+        });
+        templatePromise.catch(() => { templatePromise = null; });
+    }
+    return templatePromise;
+}
+
+class MSTVisualizerElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['algorithm', 'src', 'graph', 'mode', 'theme', 'controls'];
+    }
+
+    #resolveReady;
+    #mounting = null;
+
+    constructor() {
+        super();
+        this.visualizer = null;
+        this.ready = new Promise(resolve => { this.#resolveReady = resolve; });
+    }
+
+    connectedCallback() {
+        if (!this.shadowRoot) this.attachShadow({ mode: 'open' });
+        if (!this.visualizer && !this.#mounting) this.#mounting = this.#mount().finally(() => { this.#mounting = null; });
+    }
+
+    // A removed element stops its timers and listeners; putting it back mounts a fresh copy.
+    disconnectedCallback() {
+        this.visualizer?.destroy();
+        this.visualizer = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.visualizer || oldValue === newValue) return;
+        if (name === 'src' || name === 'graph') this.#loadSource().catch(error => this.#report(error));
+        else this.#applyAttribute(name);
+    }
+
+    async #mount() {
+        let template;
+        try {
+            template = await loadTemplate();
+        } catch (error) {
+            const message = document.createElement('p');
+            message.className = 'mst-error';
+            message.textContent = `The visualizer could not be loaded. ${error.message}`;
+            this.shadowRoot.replaceChildren(message);
+            this.#report(error);
+            return;
+        }
+        if (!this.isConnected) return;
+        const style = document.createElement('style');
+        style.textContent = template.css;
+        const body = document.createElement('div');
+        body.className = 'mst-body';
+        body.innerHTML = template.markup;
+        this.shadowRoot.replaceChildren(style, body);
+
+        const theme = this.getAttribute('theme');
+        this.visualizer = mountVisualizer(this.shadowRoot, { themeHost: body, theme: theme === 'dark' ? 'dark' : 'light', persistTheme: false });
+        VISUALIZER_EVENTS.forEach(type => {
+            this.visualizer.on(type, detail => this.dispatchEvent(new CustomEvent(`mst-${type}`, { detail })));
+        });
+
+        // The algorithm goes before the graph source, since selecting one would clear a loaded trace.
+        ['controls', 'mode', 'theme', 'algorithm'].forEach(name => this.#applyAttribute(name));
+        await this.#loadSource().catch(error => this.#report(error));
+        if (!this.visualizer) return;
+
+        this.#resolveReady(this.visualizer);
+        this.dispatchEvent(new CustomEvent('mst-ready', { detail: this.visualizer }));
+    }
+
+    #applyAttribute(name) {
+        const value = this.getAttribute(name);
+        try {
+            if (name === 'algorithm' && value) this.visualizer.selectAlgorithm(value);
+            if (name === 'mode') this.visualizer.setMode(value || 'generative');
+            if (name === 'theme') this.visualizer.setTheme(value || 'light');
+            if (name === 'controls') this.#applyControls(value);
+        } catch (error) {
+            this.#report(error);
+        }
+    }
+
+    #applyControls(value) {
+        const shown = new Set((value || 'all').split(/[\s,]+/).filter(Boolean));
+        const unknown = [...shown].filter(name => name !== 'all' && name !== 'none' && !(name in CONTROL_SECTIONS));
+        Object.entries(CONTROL_SECTIONS).forEach(([section, selectors]) => {
+            const hidden = !shown.has('all') && !shown.has(section);
+            selectors.forEach(selector => this.shadowRoot.querySelector(selector).classList.toggle('hidden', hidden));
+        });
+        if (unknown.length > 0) {
+            throw new Error(`Unknown controls "${unknown.join('", "')}". Use ${Object.keys(CONTROL_SECTIONS).join(', ')}, all or none.`);
+        }
+    }
+
+    async #loadSource() {
+        const src = this.getAttribute('src');
+        const inline = this.getAttribute('graph') ?? this.querySelector('script[type="application/json"]')?.textContent;
+        if (!src && !inline) return;
+        const text = src ? await fetchText(new URL(src, document.baseURI)) : inline;
+        if (!this.visualizer) return;
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${src ? src : 'The inline graph'} is not valid JSON.`);
+        }
+        if (data && data.format === TRACE_FORMAT) this.visualizer.loadTrace(data);
+        else this.visualizer.loadGraph(data);
+    }
+
+    #report(error) {
+        this.dispatchEvent(new CustomEvent('mst-error', { detail: error }));
+    }
+}
+
+if (!customElements.get('mst-visualizer')) customElements.define('mst-visualizer', MSTVisualizerElement);
@@ -1,15 +1,29 @@
-document.addEventListener('DOMContentLoaded', () => {
-
-    const canvas = document.getElementById('graphCanvas');
+import {
+    OBJECTIVE_TERMS, boruvkaSteps, clone, createGraph, createMinHeap, createOperationCounters, describeCycle, edgesMatch, edmondsSteps,
+    findConnectedComponents, findTreePath, generateGraph as generateGraphData, heapItemLabel, kruskalSteps, parseGraph, parseTrace, primSteps,
+    reverseDeleteSteps, serializeTrace, splitTreeAt, steinerSteps, toPlainGraph
+} from './mst-core.mjs';
+
+/*
+ * Builds one visualizer inside `dom`, a Document or ShadowRoot holding the markup from index.html, and returns its API.
+ * Options: themeHost (the element that carries .dark-mode, default document.body), theme ('light' | 'dark'),
+ * persistTheme (remember toggles in localStorage, default true).
+ */
+export function mountVisualizer(dom = document, options = {}) {
+    const themeHost = options.themeHost || document.body;
+    const persistTheme = options.persistTheme !== false;
+
+    const canvas = dom.getElementById('graphCanvas');
     const ctx = canvas.getContext('2d');
-    const themeToggle = document.getElementById('themeToggle');
-    const modeToggle = document.getElementById('modeToggle');
-    const modalOverlay = document.getElementById('custom-modal-overlay');
-    const fixedEdgeInfo = document.getElementById('fixed-edge-info');
+    const themeToggle = dom.getElementById('themeToggle');
+    const modeToggle = dom.getElementById('modeToggle');
+    const modalOverlay = dom.getElementById('custom-modal-overlay');
+    const fixedEdgeInfo = dom.getElementById('fixed-edge-info');
 
-    let graph = { nodes: [], edges: [], mstEdges: [] };
+    let graph = { nodes: [], edges: [], mstEdges: [], directed: false };
     let nextNodeId = 0;
     let availableLabels = [];
+    let overlayCache = { spt: { key: null, value: null }, clustering: { key: null, value: null } };
 
     let state = {
         mode: 'generative',
@@ -18,14 +32,38 @@ document.addEventListener('DOMContentLoaded', () => {
         currentStep: 0,
         totalSteps: 0,
         steps: [],
+        stepsPseudocode: null,
         speed: 5,
         intervalId: null,
         consideringEdge: null,
         invalidEdges: [],
         priorityQueue: [],
+        heapHighlight: [],
         visitedNodes: new Set(),
         disjointSets: [],
+        unionFind: null,
+        ufHighlight: null,
         sortedEdges: null,
+        components: [],
+        cheapestEdges: [],
+        removedEdges: [],
+        frontier: [],
+        incomingEdges: [],
+        chosenEdges: [],
+        cycleEdges: [],
+        cyclePath: [],
+        superNodes: [],
+        closure: [],
+        counters: null,
+        panelData: null,
+        graphComponents: [],
+        tiedEdges: [],
+        alternativeTrees: [],
+        alternativeIndex: 0,
+        alternativeTreesCapped: false,
+        bottleneckEdge: null,
+        cutEdges: [],
+        sensitivity: new Map(),
         draggingNode: null,
         dragOffset: { x: 0, y: 0 },
         potentialDragNode: null,
@@ -35,6 +73,11 @@ document.addEventListener('DOMContentLoaded', () => {
         isDeletingNode: false,
         isEditingEdge: false,
         isDeletingEdge: false,
+        isMarkingTerminals: false,
+        isExploringCut: false,
+        cutSide: new Set(),
+        lassoPoints: null,
+        sampledTree: [],
         hoveredNode: null,
         hoveredEdge: null,
         nodeToDelete: null,
@@ -47,6 +90,66 @@ document.addEventListener('DOMContentLoaded', () => {
         pendingEdgeEdit: null
     };
 
+    let comparison = {
+        active: false,
+        align: 'step',
+        position: 0,
+        intervalId: null,
+        lanes: [],
+        sourceWidth: 1,
+        sourceHeight: 1
+    };
+
+    let quiz = {
+        active: false,
+        algorithm: null,
+        pending: null,
+        answered: new Set(),
+        resume: false,
+        score: 0,
+        total: 0,
+        mistakes: []
+    };
+
+    let exercise = {
+        active: false,
+        selected: [],
+        hint: null
+    };
+
+    let benchmarkResults = [];
+
+    let treeCount = { signature: null, components: [], counts: [] };
+
+    const visualizerListeners = {};
+
+    const MST_ENUMERATION_LIMIT = 200;
+
+    const MAXIMUM_PSEUDOCODE_REPLACEMENTS = [
+        [/MST/g, 'MaxST'],
+        [/extract_min/g, 'extract_max'],
+        [/min-heap/g, 'max-heap'],
+        [/weight < key/g, 'weight > key'],
+        [/decrease_key/g, 'increase_key'],
+        [/sort all edges by weight$/, 'sort all edges by weight, descending'],
+    ];
+
+    const OPERATION_COUNTERS = {
+        prim: [['comparisons', 'Comparisons'], ['pushes', 'PQ pushes'], ['pops', 'PQ pops'], ['decreaseKeys', 'Decrease-keys']],
+        kruskal: [['comparisons', 'Comparisons'], ['finds', 'find() calls'], ['findHops', 'Find hops'], ['compressions', 'Compressed pointers'], ['unions', 'union() calls']],
+    };
+
+    const TRACE_OPTION_CONTROLS = {
+        startNodeId: 'startNodeSelect', rootNodeId: 'rootNodeSelect', primVariant: 'primVariantSelect', showHeapSwaps: 'showHeapSwaps',
+        unionStrategy: 'unionStrategySelect', pathCompression: 'pathCompression', spanningForest: 'spanningForestMode',
+        objective: 'objectiveSelect', tieBreak: 'tieBreakSelect',
+    };
+
+    const BENCHMARK_NODE_COUNTS = [10, 20, 40, 80, 120];
+    const BENCHMARK_DENSITIES = [0.15, 0.5, 1];
+
+    const COMPONENT_COLORS = ['#4CAF50', '#2196F3', '#E91E63', '#FFC107', '#00BCD4', '#9C27B0', '#FF5722', '#8BC34A'];
+
     const PRIM_PSEUDOCODE = [
         { line: 'PRIM(Graph, startNode):', indent: 0 },
         { line: '  MST = empty set', indent: 1 },
@@ -64,6 +167,23 @@ document.addEventListener('DOMContentLoaded', () => {
         { line: '  return MST', indent: 1 }
     ];
 
+    const PRIM_EAGER_PSEUDOCODE = [
+        { line: 'PRIM_EAGER(Graph, startNode):', indent: 0 },
+        { line: '  MST = empty set', indent: 1 },
+        { line: '  visited = { startNode }', indent: 1 },
+        { line: '  pq = indexed min-heap of vertices by key', indent: 1 },
+        { line: '  scan(startNode)', indent: 1 },
+        { line: '  while pq is not empty:', indent: 1 },
+        { line: '    v = pq.extract_min()', indent: 2 },
+        { line: '    add edgeTo[v] to MST, add v to visited', indent: 2 },
+        { line: '    scan(v)', indent: 2 },
+        { line: '  return MST', indent: 1 },
+        { line: 'scan(v):', indent: 0 },
+        { line: '  for each edge (v, w) with w unvisited:', indent: 1 },
+        { line: '    if w not in pq: pq.insert(w, weight)', indent: 2 },
+        { line: '    elif weight < key[w]: pq.decrease_key(w, weight)', indent: 2 }
+    ];
+
     const KRUSKAL_PSEUDOCODE = [
         { line: 'KRUSKAL(Graph):', indent: 0 },
         { line: '  MST = empty set', indent: 1 },
@@ -78,37 +198,254 @@ document.addEventListener('DOMContentLoaded', () => {
         { line: '  return MST', indent: 1 }
     ];
 
+    const BORUVKA_PSEUDOCODE = [
+        { line: 'BORUVKA(Graph):', indent: 0 },
+        { line: '  MST = empty set', indent: 1 },
+        { line: '  each node starts as its own component', indent: 1 },
+        { line: '  while more than one component:', indent: 1 },
+        { line: '    for each component C:', indent: 2 },
+        { line: '      cheapest[C] = lightest edge leaving C', indent: 3 },
+        { line: '    for each component C:', indent: 2 },
+        { line: '      if cheapest[C] joins different components:', indent: 3 },
+        { line: '        add cheapest[C] to MST', indent: 4 },
+        { line: '        merge the two components', indent: 4 },
+        { line: '  return MST', indent: 1 }
+    ];
+
+    const REVERSE_DELETE_PSEUDOCODE = [
+        { line: 'REVERSE_DELETE(Graph):', indent: 0 },
+        { line: '  T = all edges of Graph', indent: 1 },
+        { line: '  sort edges by weight, descending', indent: 1 },
+        { line: '  for each edge (u, v) in sorted order:', indent: 1 },
+        { line: '    remove edge from T', indent: 2 },
+        { line: '    BFS from u in T to find v', indent: 2 },
+        { line: '    if v is not reachable:', indent: 2 },
+        { line: '      put edge back (keep it in MST)', indent: 3 },
+        { line: '    else:', indent: 2 },
+        { line: '      discard edge (lies on a cycle)', indent: 3 },
+        { line: '  return T', indent: 1 }
+    ];
+
+    const EDMONDS_PSEUDOCODE = [
+        { line: 'CHU_LIU_EDMONDS(Graph, root):', indent: 0 },
+        { line: '  for each node v ≠ root:', indent: 1 },
+        { line: '    in[v] = cheapest edge entering v', indent: 2 },
+        { line: '  if the in-edges contain no cycle:', indent: 1 },
+        { line: '    return in-edges', indent: 2 },
+        { line: '  C = a cycle formed by in-edges', indent: 1 },
+        { line: '  contract C into a super-node c', indent: 1 },
+        { line: '  for each edge (u, v) entering C:', indent: 1 },
+        { line: '    weight(u, v) -= weight(in[v])', indent: 2 },
+        { line: '  A = CHU_LIU_EDMONDS(contracted graph, root)', indent: 1 },
+        { line: '  expand c: A enters C at v, drop in[v]', indent: 1 },
+        { line: '  return A plus the remaining edges of C', indent: 1 }
+    ];
+
+    const STEINER_PSEUDOCODE = [
+        { line: 'STEINER_APPROX(Graph, terminals):', indent: 0 },
+        { line: '  for each pair of terminals (s, t):', indent: 1 },
+        { line: '    dist[s][t], path[s][t] = DIJKSTRA(s)', indent: 2 },
+        { line: '  K = complete graph on terminals, weights dist', indent: 1 },
+        { line: '  T_K = MST(K)', indent: 1 },
+        { line: '  H = union of path[s][t] for each (s, t) in T_K', indent: 1 },
+        { line: '  T = MST(H)', indent: 1 },
+        { line: '  while T has a leaf that is not a terminal:', indent: 1 },
+        { line: '    remove the leaf and its edge', indent: 2 },
+        { line: '  return T', indent: 1 }
+    ];
+
+    const DYNAMIC_UPDATE_PSEUDOCODE = [
+        { line: 'UPDATE(MST, change):', indent: 0 },
+        { line: '  if edge (u, v) was added or made lighter:', indent: 1 },
+        { line: '    path = tree path from u to v', indent: 2 },
+        { line: '    worst = heaviest edge on path', indent: 2 },
+        { line: '    if weight(u, v) < weight(worst): swap worst for (u, v)', indent: 2 },
+        { line: '  if tree edge e was deleted or made heavier:', indent: 1 },
+        { line: '    cut = the two sides of MST - e', indent: 2 },
+        { line: '    best = lightest edge crossing cut', indent: 2 },
+        { line: '    if e was deleted or best is lighter: swap e for best', indent: 2 },
+        { line: '  return MST', indent: 1 }
+    ];
+
+    // ALGORITHM REGISTRY
+    const algorithmRegistry = new Map();
+
+    const BUILT_IN_ALGORITHMS = [
+        {
+            id: 'prim', name: "Prim's Algorithm", generateSteps: primSteps, renderPanels: renderPrimPanels,
+            pseudocode: () => dom.getElementById('primVariantSelect').value === 'eager' ? PRIM_EAGER_PSEUDOCODE : PRIM_PSEUDOCODE,
+            dsTitle: 'Priority Queue', visitedTitle: 'Visited Nodes', optionsPanel: 'primOptions', objectives: true, counters: OPERATION_COUNTERS.prim,
+            growsFromStart: true, quiz: () => dom.getElementById('primVariantSelect').value === 'lazy' ? 'priorityQueue' : null,
+        },
+        {
+            id: 'kruskal', name: "Kruskal's Algorithm", generateSteps: (graph, context) => kruskalSteps(graph, context).steps,
+            renderPanels: renderKruskalPanels, pseudocode: KRUSKAL_PSEUDOCODE,
+            dsTitle: 'Union-Find Forest', visitedTitle: 'Sorted Edges', optionsPanel: 'kruskalOptions', objectives: true, counters: OPERATION_COUNTERS.kruskal,
+            mergesInWeightOrder: true, quiz: 'sortedEdges',
+        },
+        {
+            id: 'boruvka', name: "Borůvka's Algorithm", generateSteps: boruvkaSteps, renderPanels: renderBoruvkaPanels, pseudocode: BORUVKA_PSEUDOCODE,
+            dsTitle: 'Components', visitedTitle: 'Cheapest Edges',
+        },
+        {
+            id: 'reverseDelete', name: 'Reverse-Delete Algorithm', generateSteps: (graph, context) => reverseDeleteSteps(graph, context).steps,
+            renderPanels: renderReverseDeletePanels, pseudocode: REVERSE_DELETE_PSEUDOCODE,
+            dsTitle: 'Connectivity Check', visitedTitle: 'Sorted Edges (Descending)',
+        },
+        {
+            id: 'edmonds', name: 'Chu–Liu/Edmonds (Directed)', generateSteps: (graph, context) => edmondsSteps(graph, { rootId: context.rootNodeId }),
+            renderPanels: renderEdmondsPanels, pseudocode: EDMONDS_PSEUDOCODE,
+            dsTitle: 'Cheapest Incoming Edges', visitedTitle: 'Contracted Super-nodes', optionsPanel: 'edmondsOptions', directed: true, requiresConnected: false,
+        },
+        {
+            id: 'steiner', name: 'Steiner Tree (2-Approx.)', generateSteps: steinerSteps, renderPanels: renderSteinerPanels, pseudocode: STEINER_PSEUDOCODE,
+            dsTitle: 'Metric Closure', visitedTitle: 'Terminals', optionsPanel: 'steinerOptions', requiresConnected: false, spanning: false, terminals: true,
+            summary: ({ graph, treeEdges, totalWeight }) =>
+                `Steiner tree connects ${graph.nodes.filter(n => n.isTerminal).length} terminals with ${treeEdges.length} edges and total weight ${totalWeight}.`,
+        },
+    ];
+
+    /*
+     * Adds an algorithm button, info panel and data-structure panels to the page.
+     * A definition needs an `id`, a button `name`, `pseudocode` ({ line, indent } entries, or a function returning them)
+     * and `generateSteps(graph, context)`, which returns steps in the same shape the built-ins produce
+     * (action, edge, description, pseudoLine); see getAlgorithmContext for the context. Throwing an Error shows its
+     * message instead of running. Anything a step stores in `panelData` is handed to
+     * `renderPanels(view, { pqContent, visitedContent })` as `view.panelData`. Optional: `info` (HTML),
+     * `dsTitle`, `visitedTitle`, `optionsPanel` (element id), `directed`, `requiresConnected`, `objectives`, `counters`, and
+     *   spanning             false if the result need not span the graph; turns off tie, sensitivity and clustering analysis
+     *                        and dynamic updates
+     *   growsFromStart       one tree grows from the start node (enables Prim's cut and the shortest-path tree overlay)
+     *   mergesInWeightOrder  addEdge steps come in weight order, so they are the single-linkage merge order
+     *   terminals            the algorithm connects the nodes marked as terminals
+     *   quiz                 'priorityQueue' or 'sortedEdges' (or a function returning one, or null) to allow quiz mode
+     *   summary({ graph, treeEdges, totalWeight })  text for the completion panel
+     */
+    function registerAlgorithm(definition) {
+        const missing = ['id', 'name', 'pseudocode'].filter(key => !definition[key]);
+        if (typeof definition.generateSteps !== 'function') missing.push('generateSteps');
+        if (missing.length > 0) {
+            showToast(`Algorithm "${definition.id || definition.name || '?'}" is missing: ${missing.join(', ')}.`, 'error');
+            return false;
+        }
+        if (algorithmRegistry.has(definition.id)) {
+            showToast(`An algorithm with id "${definition.id}" is already registered.`, 'error');
+            return false;
+        }
+
+        algorithmRegistry.set(definition.id, {
+            dsTitle: 'Data Structure', visitedTitle: 'Progress', optionsPanel: null, counters: null,
+            directed: false, requiresConnected: true, objectives: false, renderPanels: () => {},
+            spanning: true, growsFromStart: false, mergesInWeightOrder: false, terminals: false, quiz: null, summary: null,
+            ...definition,
+        });
+
+        const button = document.createElement('button');
+        button.className = 'algorithm-btn';
+        button.id = `${definition.id}Btn`;
+        button.dataset.algo = definition.id;
+        button.textContent = definition.name;
+        button.addEventListener('click', () => selectAlgorithm(definition.id));
+        const selector = dom.querySelector('.algorithm-selector');
+        if (!selector.querySelector('.algorithm-btn.active')) button.classList.add('active');
+        selector.appendChild(button);
+
+        if (definition.info && !dom.getElementById(`${definition.id}InfoSection`)) {
+            const infoSection = document.createElement('div');
+            infoSection.id = `${definition.id}InfoSection`;
+            infoSection.className = 'algorithm-info-panel';
+            infoSection.style.display = 'none';
+            infoSection.innerHTML = definition.info;
+            dom.querySelector('.algorithm-info-sections').appendChild(infoSection);
+        }
+        return true;
+    }
+
+    function getAlgorithmContext() {
+        const checked = id => dom.getElementById(id).checked;
+        const value = id => dom.getElementById(id).value;
+        return {
+            startNodeId: parseInt(value('startNodeSelect')),
+            rootNodeId: parseInt(value('rootNodeSelect')),
+            variant: value('primVariantSelect'),
+            showSwaps: checked('showHeapSwaps'),
+            unionStrategy: value('unionStrategySelect'),
+            pathCompression: checked('pathCompression'),
+            spanningForest: checked('spanningForestMode'),
+            objective: getObjective(),
+            tieBreak: getTieBreak(),
+            terminals: graph.nodes.filter(n => n.isTerminal).map(n => n.id),
+        };
+    }
+
+    // Returns the algorithm's steps for the current graph and options, or an empty list after reporting why it cannot run.
+    function generateAlgorithmSteps(algorithm) {
+        let steps;
+        try {
+            steps = algorithm.generateSteps(graph, getAlgorithmContext());
+        } catch (error) {
+            const panel = dom.getElementById('algorithm-steps-panel');
+            panel.innerHTML = `<div class="step-highlight"></div><div class="step-explanation"></div>`;
+            panel.querySelector('.step-highlight').textContent = `${algorithm.name} cannot run`;
+            panel.querySelector('.step-explanation').textContent = error.message;
+            showToast(error.message, 'warning');
+            return [];
+        }
+        if (!Array.isArray(steps)) {
+            showToast(`${algorithm.name} did not return a list of steps.`, 'error');
+            return [];
+        }
+        return steps;
+    }
+
+    function getSelectedAlgorithm() {
+        return algorithmRegistry.get(dom.querySelector('.algorithm-btn.active').dataset.algo);
+    }
+
+    function selectAlgorithm(id) {
+        if (state.algorithmLocked || !algorithmRegistry.has(id)) return;
+        dom.querySelectorAll('.algorithm-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.algo === id));
+        updateAlgorithmUI();
+        resetAnimationState(false);
+    }
+
+    BUILT_IN_ALGORITHMS.forEach(registerAlgorithm);
+    // Scripts that load before this one can queue definitions on window.mstAlgorithmPlugins.
+    (window.mstAlgorithmPlugins || []).forEach(registerAlgorithm);
+
     function initializeLabels() {
         availableLabels = Array.from({ length: 26 }, (_, i) => String.fromCharCode(65 + i));
     }
     
     const applyTheme = (theme) => {
         if (theme === 'dark') {
-            document.body.classList.add('dark-mode');
+            themeHost.classList.add('dark-mode');
             themeToggle.checked = true;
         } else {
-            document.body.classList.remove('dark-mode');
+            themeHost.classList.remove('dark-mode');
             themeToggle.checked = false;
         }
         if (ctx) {
             drawGraph();
+            renderComparison();
+            if (benchmarkResults.length > 0) drawBenchmarkChart(benchmarkResults);
         }
     };
 
-    const savedTheme = localStorage.getItem('theme') || 'light';
+    const savedTheme = options.theme || (persistTheme && localStorage.getItem('theme')) || 'light';
     applyTheme(savedTheme);
 
     themeToggle.addEventListener('change', () => {
         const newTheme = themeToggle.checked ? 'dark' : 'light';
-        localStorage.setItem('theme', newTheme);
+        if (persistTheme) localStorage.setItem('theme', newTheme);
         applyTheme(newTheme);
     });
 
     function switchMode(newMode) {
         state.mode = newMode;
-        const genControls = document.getElementById('generative-mode-controls');
-        const userControls = document.getElementById('user-mode-controls');
-        const userInstructions = document.getElementById('user-mode-instructions');
+        const genControls = dom.getElementById('generative-mode-controls');
+        const userControls = dom.getElementById('user-mode-controls');
+        const userInstructions = dom.getElementById('user-mode-instructions');
         
         if (newMode === 'user') {
             genControls.classList.add('hidden');
@@ -131,24 +468,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
     setCanvasSize();
     window.addEventListener('resize', setCanvasSize);
+    // An embedded instance can change width without the window resizing, e.g. when its panels are hidden.
+    const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(() => setCanvasSize()) : null;
+    resizeObserver?.observe(canvas.parentElement);
     initializeEventListeners();
     initializeLabels();
     generateGraph();
     updateAlgorithmUI();
 
-    const primBtn = document.getElementById('primBtn');
-    if (primBtn && !primBtn.classList.contains('active')) {
-        document.querySelectorAll('.algorithm-btn').forEach(btn => btn.classList.remove('active'));
-        primBtn.classList.add('active');
-        updateAlgorithmUI();
-    }
-
     function updateEdgeDensityForGraphType() {
-        const graphType = document.getElementById('graphTypeSelect').value;
-        const edgeDensitySlider = document.getElementById('edgeDensity');
-        const edgeDensityValue = document.getElementById('edgeDensityValue');
-        const nodeCount = parseInt(document.getElementById('nodeCount').value);
-        const startNodeSelect = document.getElementById('startNodeSelect');
+        const graphType = dom.getElementById('graphTypeSelect').value;
+        const edgeDensitySlider = dom.getElementById('edgeDensity');
+        const edgeDensityValue = dom.getElementById('edgeDensityValue');
+        const nodeCount = parseInt(dom.getElementById('nodeCount').value);
+        const startNodeSelect = dom.getElementById('startNodeSelect');
 
         startNodeSelect.disabled = (graphType === 'cycle' || state.algorithmLocked);
         
@@ -184,182 +517,163 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // PRIM'S ALGO
-    function primsAlgorithm() {
-        const startNodeSelect = document.getElementById('startNodeSelect');
-        let startNodeId = parseInt(startNodeSelect.value);
-        if (graph.nodes.length === 0 || !graph.nodes.find(n => n.id === startNodeId)) {
-            if (graph.nodes.length > 0) {
-                startNodeId = graph.nodes[0].id;
-                startNodeSelect.value = startNodeId;
-                showToast("Invalid start node selected, defaulting to the first node.", 'error');
-            } else {
-                    showToast("Cannot start Prim's algorithm on an empty graph.", 'error');
-                    return;
-            }
-        }
+    function getComponentColor(nodeId, components = state.graphComponents) {
+        const index = components.findIndex(component => component.includes(nodeId));
+        return COMPONENT_COLORS[Math.max(index, 0) % COMPONENT_COLORS.length];
+    }
 
-        const steps = [];
-        const visited = new Set();
-        const edges = [...graph.edges];
-        
-        visited.add(startNodeId);
-        
-        const priorityQueue = [];
-        edges.forEach(edge => {
-            if ((edge.from === startNodeId && !visited.has(edge.to)) || (edge.to === startNodeId && !visited.has(edge.from))) {
-                priorityQueue.push({ edge, weight: edge.weight });
-            }
+    function getTieBreak() {
+        return dom.getElementById('tieBreakSelect').value;
+    }
+
+    function getObjective() {
+        if (!getSelectedAlgorithm().objectives) return 'minimum';
+        return dom.getElementById('objectiveSelect').value;
+    }
+
+    function findTreeSwaps(treeEdges) {
+        const adjacency = {};
+        treeEdges.forEach(edge => {
+            (adjacency[edge.from] = adjacency[edge.from] || []).push(edge);
+            (adjacency[edge.to] = adjacency[edge.to] || []).push(edge);
         });
-        priorityQueue.sort((a, b) => a.weight - b.weight);
-        
-        steps.push({
-            description: `<div class="step-highlight">Starting Prim's from node ${graph.nodes.find(n=>n.id === startNodeId).label}</div><div class="step-explanation">The algorithm begins. Visited set is initialized with the start node, and all its adjacent edges are added to a Priority Queue.</div>`,
-            priorityQueue: clone(priorityQueue),
-            visitedNodes: [...visited],
-            pseudoLine: 3,
+        const treePath = (from, to) => {
+            const stack = [[from, []]];
+            const seen = new Set([from]);
+            while (stack.length > 0) {
+                const [current, path] = stack.pop();
+                if (current === to) return path;
+                (adjacency[current] || []).forEach(edge => {
+                    const next = edge.from === current ? edge.to : edge.from;
+                    if (seen.has(next)) return;
+                    seen.add(next);
+                    stack.push([next, [...path, edge]]);
+                });
+            }
+            return [];
+        };
+
+        const swaps = [];
+        graph.edges.filter(edge => !treeEdges.includes(edge)).forEach(edge => {
+            treePath(edge.from, edge.to)
+                .filter(treeEdge => treeEdge.weight === edge.weight)
+                .forEach(treeEdge => swaps.push({ add: edge, remove: treeEdge }));
         });
-        
-        while (visited.size < graph.nodes.length && priorityQueue.length > 0) {
-            const minEdgeItem = priorityQueue.shift();
-            const minEdge = minEdgeItem.edge;
-            
-            const fromNodeLabel = graph.nodes.find(n => n.id === minEdge.from)?.label || '?';
-            const toNodeLabel = graph.nodes.find(n => n.id === minEdge.to)?.label || '?';
+        return swaps;
+    }
 
-            steps.push({
-                action: 'considerEdge', edge: minEdge,
-                description: `<div class="step-highlight">Extracting minimum edge</div><div class="step-explanation">The edge with the lowest weight, <strong>${fromNodeLabel}-${toNodeLabel}</strong> (weight ${minEdge.weight}), is removed from the Priority Queue for consideration.</div>`,
-                priorityQueue: clone(priorityQueue), visitedNodes: [...visited],
-                pseudoLine: 5,
-            });
-            
-            const fromVisited = visited.has(minEdge.from);
-            const toVisited = visited.has(minEdge.to);
-            
-            if ((fromVisited && !toVisited) || (!fromVisited && toVisited)) {
-                const newNodeId = fromVisited ? minEdge.to : minEdge.from;
-                const newNode = graph.nodes.find(n => n.id === newNodeId);
-                
-                steps.push({
-                    action: 'addEdge', edge: minEdge,
-                    description: `<div class="step-highlight">✓ Edge added to MST</div><div class="step-explanation">This edge connects a visited node to an unvisited one (${newNode.label}). It's a safe edge to add to our Minimum Spanning Tree.</div>`,
-                    priorityQueue: clone(priorityQueue), visitedNodes: [...visited],
-                    pseudoLine: 7,
-                });
-                
-                visited.add(newNodeId);
-                
-                edges.forEach(edge => {
-                    const fromNew = (edge.from === newNodeId && !visited.has(edge.to));
-                    const toNew = (edge.to === newNodeId && !visited.has(edge.from));
-                    if (fromNew || toNew) {
-                            priorityQueue.push({ edge, weight: edge.weight });
-                    }
-                });
-                priorityQueue.sort((a, b) => a.weight - b.weight);
-                
-                steps.push({
-                    description: `<div class="step-highlight">Updating Priority Queue</div><div class="step-explanation">Node ${newNode.label} is now visited. All its edges that lead to unvisited nodes are added to the Priority Queue.</div>`,
-                    priorityQueue: clone(priorityQueue), visitedNodes: [...visited],
-                    pseudoLine: 10,
-                });
-            } else {
-                steps.push({
-                    action: 'showInvalid', edge: minEdge, invalidEdges: [minEdge],
-                    description: `<div class="step-highlight">❌ Edge discarded</div><div class="step-explanation">This edge connects two nodes that are already in the visited set. Adding it would create a cycle, so it is ignored.</div>`,
-                    priorityQueue: clone(priorityQueue), visitedNodes: [...visited],
-                    pseudoLine: 12,
-                });
+    function enumerateMinimumSpanningTrees(treeEdges) {
+        const keyOf = tree => tree.map(edge => graph.edges.indexOf(edge)).sort((a, b) => a - b).join(',');
+        const trees = [treeEdges];
+        const seen = new Set([keyOf(treeEdges)]);
+        const queue = [treeEdges];
+        while (queue.length > 0) {
+            const tree = queue.shift();
+            for (const { add, remove } of findTreeSwaps(tree)) {
+                const next = tree.filter(edge => edge !== remove).concat(add);
+                const key = keyOf(next);
+                if (seen.has(key)) continue;
+                if (trees.length === MST_ENUMERATION_LIMIT) return { trees, capped: true };
+                seen.add(key);
+                trees.push(next);
+                queue.push(next);
             }
         }
-        steps.push({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">No more valid edges can be added. The Minimum Spanning Tree is complete.</div>`, priorityQueue: [], visitedNodes: [...visited], pseudoLine: 13, });
-        state.steps = steps;
+        return { trees, capped: false };
     }
 
-    // KRUSKAL'S ALGO
-    function kruskalsAlgorithm() {
-        if (graph.nodes.length === 0) {
-            showToast("Cannot run Kruskal's algorithm on an empty graph.", "error");
-            return;
+    function analyzeTies() {
+        const { trees, capped } = enumerateMinimumSpanningTrees([...graph.mstEdges]);
+        state.alternativeTrees = trees;
+        state.alternativeTreesCapped = capped;
+        state.alternativeIndex = 0;
+        const swaps = findTreeSwaps(graph.mstEdges);
+        state.tiedEdges = [...new Set(swaps.flatMap(swap => [swap.add, swap.remove]))];
+
+        const short = getObjective() === 'maximum' ? 'MaxST' : 'MST';
+        if (trees.length === 1) {
+            return `<div class="step-explanation">This ${short} is unique: no edge outside it ties with an edge it could replace.</div>`;
         }
-        const steps = [];
-        const edges = [...graph.edges];
-        
-        edges.sort((a, b) => a.weight - b.weight);
-        state.sortedEdges = clone(edges);
-
-        const nodeIds = graph.nodes.map(n => n.id);
-        const parent = {};
-        nodeIds.forEach(id => parent[id] = id);
-
-        const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])));
-        const union = (u, v) => {
-            const rootU = find(u);
-            const rootV = find(v);
-            if (rootU !== rootV) {
-                parent[rootV] = rootU;
-                return true;
-            }
-            return false;
-        };
-        const getDisjointSets = () => {
-            const sets = {};
-            graph.nodes.forEach(node => {
-                const root = find(node.id);
-                if (!sets[root]) sets[root] = [];
-                sets[root].push(node.id);
-            });
-            return Object.values(sets);
-        };
-        
-        steps.push({
-            description: `<div class="step-highlight">Starting Kruskal's algorithm</div><div class="step-explanation">First, all edges in the graph are sorted by weight in ascending order. Each node starts in its own disjoint set.</div>`,
-            sortedEdges: clone(edges), disjointSets: getDisjointSets(),
-            pseudoLine: 3,
-        });
-        
-        let edgesAdded = 0;
-        for (let i = 0; i < edges.length; i++) {
-            if (edgesAdded >= graph.nodes.length - 1) break;
-            const edge = edges[i];
-            
-            const fromNodeLabel = graph.nodes.find(n => n.id === edge.from)?.label || '?';
-            const toNodeLabel = graph.nodes.find(n => n.id === edge.to)?.label || '?';
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const swapList = swaps.slice(0, 5)
+            .map(({ add, remove }) => `${labelOf(add.from)}-${labelOf(add.to)} ⇄ ${labelOf(remove.from)}-${labelOf(remove.to)} (${add.weight})`)
+            .join(', ');
+        return `<div class="step-explanation">This ${short} is not unique: ${capped ? `more than ${MST_ENUMERATION_LIMIT}` : trees.length} distinct ${short}s share the same weight. Tied edges that can be swapped are drawn dashed, e.g. ${swapList}. Use the arrows below the stats to page through them.</div>`;
+    }
 
-            steps.push({
-                action: 'considerEdge', edge: edge,
-                description: `<div class="step-highlight">Considering next edge</div><div class="step-explanation">The next edge in the sorted list, <strong>${fromNodeLabel}-${toNodeLabel}</strong> (weight ${edge.weight}), is considered.</div>`,
-                sortedEdges: edges.slice(i + 1), disjointSets: getDisjointSets(),
-                pseudoLine: 4,
-            });
-            
-            if (find(edge.from) !== find(edge.to)) {
-                union(edge.from, edge.to);
-                edgesAdded++;
-                steps.push({
-                    action: 'addEdge', edge: edge,
-                    description: `<div class="step-highlight">✓ Edge added to MST</div><div class="step-explanation">The nodes of this edge belong to different sets. Adding it will not form a cycle. It is added to the MST.</div>`,
-                    sortedEdges: edges.slice(i + 1), disjointSets: getDisjointSets(),
-                    pseudoLine: 6,
-                });
-                
-                    steps.push({
-                    description: `<div class="step-highlight">Union of sets</div><div class="step-explanation">The two disjoint sets connected by the new edge are now merged into a single set.</div>`,
-                    sortedEdges: edges.slice(i+1), disjointSets: getDisjointSets(),
-                    pseudoLine: 7,
-                });
+    function showAlternativeTree(index) {
+        const tree = state.alternativeTrees[index];
+        if (!tree) return;
+        state.alternativeIndex = index;
+        graph.edges.forEach(edge => edge.isInMST = tree.includes(edge));
+        graph.mstEdges = [...tree];
+        const swaps = findTreeSwaps(tree);
+        state.tiedEdges = [...new Set(swaps.flatMap(swap => [swap.add, swap.remove]))];
+        if (getObjective() === 'bottleneck') analyzeBottleneck();
+        analyzeSensitivity();
+        updateAnimationControls();
+        drawGraph();
+    }
+
+    function analyzeSensitivity() {
+        const treeEdges = graph.mstEdges;
+        const maximize = getObjective() === 'maximum';
+        const isBetter = (a, b) => (maximize ? a.weight > b.weight : a.weight < b.weight);
+        state.sensitivity = new Map();
+
+        graph.edges.forEach(edge => {
+            if (treeEdges.includes(edge)) {
+                const side = splitTreeAt(treeEdges, edge);
+                const replacement = graph.edges
+                    .filter(e => e !== edge && side.has(e.from) !== side.has(e.to))
+                    .reduce((best, e) => (!best || isBetter(e, best) ? e : best), null);
+                const limit = replacement ? replacement.weight : (maximize ? -Infinity : Infinity);
+                state.sensitivity.set(edge, { inTree: true, witness: replacement, low: maximize ? limit : -Infinity, high: maximize ? Infinity : limit });
             } else {
-                steps.push({
-                    action: 'showInvalid', edge: edge, invalidEdges: [edge],
-                    description: `<div class="step-highlight">❌ Edge discarded</div><div class="step-explanation">The nodes of this edge already belong to the same set. Adding this edge would form a cycle, so it is discarded.</div>`,
-                    sortedEdges: edges.slice(i + 1), disjointSets: getDisjointSets(),
-                    pseudoLine: 9,
-                });
+                const path = findTreePath(treeEdges, edge.from, edge.to) || [];
+                const worst = path.reduce((current, e) => (!current || isBetter(current, e) ? e : current), null);
+                const limit = worst ? worst.weight : (maximize ? Infinity : -Infinity);
+                state.sensitivity.set(edge, { inTree: false, witness: worst, low: maximize ? -Infinity : limit, high: maximize ? limit : Infinity });
             }
+        });
+        return `<div class="step-explanation">Hover an edge to see how far its weight can change before this tree stops being optimal, or turn on the sensitivity overlay.</div>`;
+    }
+
+    function formatSensitivityRange({ low, high }) {
+        if (low === -Infinity && high === Infinity) return 'any';
+        if (low === -Infinity) return `≤ ${high}`;
+        if (high === Infinity) return `≥ ${low}`;
+        return `${low} – ${high}`;
+    }
+
+    function analyzeBottleneck() {
+        const bottleneck = graph.mstEdges.reduce((heaviest, edge) => (!heaviest || edge.weight > heaviest.weight ? edge : heaviest), null);
+        if (!bottleneck) return '';
+        const side = splitTreeAt(graph.mstEdges, bottleneck);
+        state.bottleneckEdge = bottleneck;
+        state.cutEdges = graph.edges.filter(edge => side.has(edge.from) !== side.has(edge.to));
+
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const sideLabels = ids => `{${ids.map(labelOf).join(', ')}}`;
+        const component = state.graphComponents.find(c => c.includes(bottleneck.from)) || graph.nodes.map(n => n.id);
+        const crossing = state.cutEdges.map(edge => `${labelOf(edge.from)}-${labelOf(edge.to)} (${edge.weight})`).join(', ');
+        return `<div class="step-explanation"><strong>Bottleneck:</strong> the heaviest tree edge is <strong>${labelOf(bottleneck.from)}-${labelOf(bottleneck.to)}</strong> (weight ${bottleneck.weight}). Removing it splits the tree into ${sideLabels([...side])} and ${sideLabels(component.filter(id => !side.has(id)))}. Any spanning tree must use one of the edges crossing this cut: ${crossing}. By the cut property none of them is lighter than ${bottleneck.weight}, so no spanning tree has a smaller bottleneck. This is why every MST is also a minimum bottleneck spanning tree.</div>`;
+    }
+
+    function checkGraphConnectivity() {
+        state.graphComponents = findConnectedComponents(graph);
+        if (state.graphComponents.length > 1 && !dom.getElementById('spanningForestMode').checked) {
+            const componentList = state.graphComponents
+                .map(component => `{${component.map(id => graph.nodes.find(n => n.id === id)?.label || '?').join(', ')}}`)
+                .join(', ');
+            dom.getElementById('algorithm-steps-panel').innerHTML =
+                `<div class="step-highlight">Graph is disconnected</div>
+                    <div class="step-explanation">The graph has ${state.graphComponents.length} connected components: ${componentList}. No spanning tree can reach every node. Enable "Spanning forest mode" to build a minimum spanning tree for each component.</div>`;
+            showToast(`Graph has ${state.graphComponents.length} connected components. Enable spanning forest mode to continue.`, "warning");
+            state.graphComponents = [];
+            return false;
         }
-        steps.push({ description: `<div class="step-highlight">Algorithm Finished</div><div class="step-explanation">The Minimum Spanning Tree is complete, or all edges have been considered.</div>`, sortedEdges: [], disjointSets: getDisjointSets(), pseudoLine: 10, });
-        state.steps = steps;
+        return true;
     }
 
     function startVisualization() {
@@ -368,10 +682,26 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         resetAnimationState(false);
-        
-        const selectedAlgorithm = document.querySelector('.algorithm-btn.active').dataset.algo;
-        if (selectedAlgorithm === 'prim') primsAlgorithm();
-        else if (selectedAlgorithm === 'kruskal') kruskalsAlgorithm();
+
+        const algorithm = getSelectedAlgorithm();
+        if (graph.directed && !algorithm.directed) {
+            showToast("Directed graphs need the Chu–Liu/Edmonds algorithm. Turn off directed mode to run this one.", "warning");
+            return;
+        }
+        if (!graph.directed && algorithm.directed) {
+            showToast(`${algorithm.name} needs a directed graph. Turn on directed mode first.`, "warning");
+            return;
+        }
+        if (algorithm.requiresConnected && !checkGraphConnectivity()) return;
+        if (state.isMarkingTerminals) toggleTerminalMarking();
+        if (exercise.active) {
+            showToast("Submit or end the exercise before running an algorithm.", "warning");
+            return;
+        }
+        if (!startQuiz(algorithm)) return;
+
+        state.steps = generateAlgorithmSteps(algorithm);
+        state.stepsPseudocode = algorithm.id;
         
         if (state.steps.length > 0) {
             state.isRunning = true;
@@ -386,6 +716,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function animateStep() {
         if (state.currentStep < state.totalSteps) {
+            if (askQuizQuestion(state.currentStep)) return;
             executeStep(state.currentStep);
             state.currentStep++;
             updateAnimationControls();
@@ -396,290 +727,962 @@ document.addEventListener('DOMContentLoaded', () => {
             state.algorithmLocked = false;
             state.isComplete = true;
             
-            const totalWeight = graph.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
-            document.getElementById('algorithm-steps-panel').innerHTML = 
-                `<div class="step-highlight">Algorithm complete!</div>
-                    <div class="step-explanation">MST has ${graph.mstEdges.length} edges with total weight ${totalWeight}.</div>`;
+            showCompletionSummary();
             
             updateAnimationControls();
             drawGraph();
+            emitVisualizerEvent('complete', getRunSummary());
         }
     }
 
+    function showCompletionSummary() {
+        const totalWeight = graph.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        const panel = dom.getElementById('algorithm-steps-panel');
+        const algorithm = getSelectedAlgorithm();
+
+        if (algorithm.summary) {
+            panel.innerHTML = 
+                `<div class="step-highlight">Algorithm complete!</div>
+                    <div class="step-explanation">${algorithm.summary({ graph, treeEdges: graph.mstEdges, totalWeight })}</div>`;
+            return;
+        }
+
+        if (graph.directed) {
+            panel.innerHTML = 
+                `<div class="step-highlight">Algorithm complete!</div>
+                    <div class="step-explanation">Minimum spanning arborescence has ${graph.mstEdges.length} edges with total weight ${totalWeight}.</div>`;
+            return;
+        }
+
+        if (!algorithm.spanning) {
+            panel.innerHTML = 
+                `<div class="step-highlight">Algorithm complete!</div>
+                    <div class="step-explanation">${algorithm.name} picked ${graph.mstEdges.length} edges with total weight ${totalWeight}.</div>`;
+            return;
+        }
+
+        const tieSummary = analyzeTies() + (getObjective() === 'bottleneck' ? analyzeBottleneck() : '') + analyzeSensitivity();
+        if (state.graphComponents.length <= 1) {
+            panel.innerHTML = 
+                `<div class="step-highlight">Algorithm complete!</div>
+                    <div class="step-explanation">${getObjective() === 'maximum' ? 'Maximum spanning tree' : 'MST'} has ${graph.mstEdges.length} edges with total weight ${totalWeight}.</div>
+                    ${tieSummary}`;
+            return;
+        }
+
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const trees = state.graphComponents.map((component, i) => {
+            const treeEdges = graph.mstEdges.filter(edge => component.includes(edge.from));
+            const treeWeight = treeEdges.reduce((sum, edge) => sum + edge.weight, 0);
+            const edgeList = treeEdges.map(edge => `${labelOf(edge.from)}-${labelOf(edge.to)} (${edge.weight})`).join(', ') || 'no edges';
+            return `<div class="step-explanation forest-tree" style="border-left-color: ${COMPONENT_COLORS[i % COMPONENT_COLORS.length]};"><strong>Tree ${i + 1}</strong> {${component.map(labelOf).join(', ')}}: ${edgeList} - weight ${treeWeight}</div>`;
+        }).join('');
+        panel.innerHTML = 
+            `<div class="step-highlight">Algorithm complete!</div>
+                <div class="step-explanation">${getObjective() === 'maximum' ? 'Maximum' : 'Minimum'} spanning forest of ${state.graphComponents.length} trees with ${graph.mstEdges.length} edges and total weight ${totalWeight}.</div>
+                ${trees}
+                ${tieSummary}`;
+    }
+
+    function applyStepData(target, step) {
+        if (step.priorityQueue) {
+            target.priorityQueue = step.priorityQueue;
+            target.heapHighlight = step.heapHighlight || [];
+        }
+        if (step.visitedNodes) target.visitedNodes = new Set(step.visitedNodes);
+        if (step.disjointSets) target.disjointSets = step.disjointSets;
+        if (step.unionFind) {
+            target.unionFind = step.unionFind;
+            target.ufHighlight = step.ufHighlight || null;
+        }
+        if (step.sortedEdges) target.sortedEdges = step.sortedEdges;
+        if (step.components) target.components = step.components;
+        if (step.cheapestEdges) target.cheapestEdges = step.cheapestEdges;
+        if (step.removedEdges) target.removedEdges = step.removedEdges;
+        if (step.frontier) target.frontier = step.frontier;
+        if (step.incomingEdges) target.incomingEdges = step.incomingEdges;
+        if (step.chosenEdges) target.chosenEdges = step.chosenEdges;
+        if (step.cycleEdges) target.cycleEdges = step.cycleEdges;
+        if (step.superNodes) target.superNodes = step.superNodes;
+        if (step.closure) target.closure = step.closure;
+        if (step.counters) target.counters = step.counters;
+        if (step.panelData) target.panelData = step.panelData;
+    }
+
+    function resetStepData(target) {
+        target.priorityQueue = [];
+        target.heapHighlight = [];
+        target.visitedNodes = new Set();
+        target.disjointSets = [];
+        target.unionFind = null;
+        target.ufHighlight = null;
+        target.sortedEdges = null;
+        target.components = [];
+        target.cheapestEdges = [];
+        target.removedEdges = [];
+        target.frontier = [];
+        target.incomingEdges = [];
+        target.chosenEdges = [];
+        target.cycleEdges = [];
+        target.cyclePath = [];
+        target.superNodes = [];
+        target.closure = [];
+        target.counters = null;
+        target.panelData = null;
+        target.consideringEdge = null;
+        target.invalidEdges = [];
+    }
+
     function executeStep(stepIndex) {
         const step = state.steps[stepIndex];
         state.consideringEdge = null;
         state.invalidEdges = [];
+        state.cyclePath = [];
         
         if (step.action === 'addEdge') {
-            const edge = graph.edges.find(e => (e.from === step.edge.from && e.to === step.edge.to) || (e.from === step.edge.to && e.to === step.edge.from));
+            const edge = graph.edges.find(e => edgesMatch(graph, e, step.edge));
             if (edge) {
                 edge.isInMST = true;
                 if (!graph.mstEdges.includes(edge)) graph.mstEdges.push(edge);
             }
-        } else if (step.action === 'considerEdge') {
+        } else if (step.action === 'removeEdge') {
+            const edge = graph.edges.find(e => edgesMatch(graph, e, step.edge));
+            if (edge) {
+                edge.isInMST = false;
+                graph.mstEdges = graph.mstEdges.filter(e => e !== edge);
+            }
+            state.invalidEdges = [step.edge];
+        } else if (step.action === 'considerEdge' || step.action === 'checkConnectivity') {
             state.consideringEdge = step.edge;
         } else if (step.action === 'showInvalid') {
             state.invalidEdges = step.invalidEdges || [];
+            state.cyclePath = step.cyclePath || [];
+        } else if (step.action === 'setTree') {
+            graph.edges.forEach(edge => edge.isInMST = step.treeEdges.includes(edge));
+            graph.mstEdges = graph.edges.filter(edge => edge.isInMST);
+            state.consideringEdge = step.edge;
         }
         
-        if (step.priorityQueue) state.priorityQueue = step.priorityQueue;
-        if (step.visitedNodes) state.visitedNodes = new Set(step.visitedNodes);
-        if (step.disjointSets) state.disjointSets = step.disjointSets;
-        if (step.sortedEdges) state.sortedEdges = step.sortedEdges;
+        applyStepData(state, step);
         
-        document.getElementById('algorithm-steps-panel').innerHTML = step.description;
+        dom.getElementById('algorithm-steps-panel').innerHTML = step.description;
         highlightPseudoLine(step.pseudoLine);
         drawGraph();
+
+        emitVisualizerEvent('step', { index: stepIndex, total: state.totalSteps, direction: 'forward', action: step.action || null, description: step.description });
+        if (step.action === 'addEdge') emitVisualizerEvent('edgeAdded', { from: step.edge.from, to: step.edge.to, weight: step.edge.weight });
     }
 
-    // GRAPH GENERATION
-    function countPrimSteps() {
-        if (graph.nodes.length === 0) return 0;
-        const startNodeId = graph.nodes[0].id;
-        const steps = [];
-        const visited = new Set();
-        const edges = [...graph.edges];
-        visited.add(startNodeId);
-        const priorityQueue = [];
-        edges.forEach(edge => {
-            if ((edge.from === startNodeId && !visited.has(edge.to)) || (edge.to === startNodeId && !visited.has(edge.from))) {
-                priorityQueue.push({ edge, weight: edge.weight });
-            }
+    // COMPARISON MODE
+    function createComparisonLane(algorithm) {
+        const steps = generateAlgorithmSteps(algorithmRegistry.get(algorithm));
+        const laneCanvas = dom.getElementById(`${algorithm}LaneCanvas`);
+        return {
+            algorithm,
+            steps,
+            canvas: laneCanvas,
+            ctx: laneCanvas.getContext('2d'),
+            stepsPanel: dom.getElementById(`${algorithm}LaneSteps`),
+            pseudocode: dom.getElementById(`${algorithm}LanePseudocode`),
+            pqContent: dom.getElementById(`${algorithm}LanePqContent`),
+            visitedContent: dom.getElementById(`${algorithm}LaneVisitedContent`),
+            mstContent: dom.getElementById(`${algorithm}LaneMstContent`),
+            addEdgePositions: steps.reduce((positions, step, i) => step.action === 'addEdge' ? [...positions, i + 1] : positions, []),
+            mstEdges: [],
+        };
+    }
+
+    function startComparison() {
+        if (graph.nodes.length < 2) {
+            showToast("Please create a graph with at least two nodes to compare.", "warning");
+            return;
+        }
+        if (graph.directed) {
+            showToast("Comparison mode works on undirected graphs. Turn off directed mode first.", "warning");
+            return;
+        }
+        resetAnimationState(false);
+        if (!checkGraphConnectivity()) return;
+
+        const lanes = [createComparisonLane('prim'), createComparisonLane('kruskal')];
+        if (lanes.some(lane => lane.steps.length === 0)) return;
+
+        comparison.active = true;
+        comparison.lanes = lanes;
+        comparison.position = 0;
+        comparison.align = dom.getElementById('comparisonAlignSelect').value;
+        comparison.sourceWidth = canvas.width || 1;
+        comparison.sourceHeight = canvas.height || 1;
+        state.algorithmLocked = true;
+
+        dom.querySelector('.vis-main').classList.add('hidden');
+        dom.getElementById('comparisonView').classList.remove('hidden');
+        lanes.forEach(lane => renderPseudocode(lane.algorithm, lane.pseudocode));
+        sizeComparisonCanvases();
+
+        updateAnimationControls();
+        toggleComparisonPlayback();
+        showToast('Comparison started!', 'info');
+    }
+
+    function exitComparison() {
+        stopComparisonPlayback();
+        comparison.active = false;
+        comparison.lanes = [];
+        state.algorithmLocked = false;
+
+        dom.getElementById('comparisonView').classList.add('hidden');
+        dom.querySelector('.vis-main').classList.remove('hidden');
+        setCanvasSize();
+        resetAnimationState(false);
+    }
+
+    function sizeComparisonCanvases() {
+        comparison.lanes.forEach(lane => {
+            const container = lane.canvas.parentElement;
+            lane.canvas.width = container.clientWidth;
+            lane.canvas.height = container.clientHeight;
         });
-        priorityQueue.sort((a, b) => a.weight - b.weight);
-        steps.push({});
-        while (visited.size < graph.nodes.length && priorityQueue.length > 0) {
-            const minEdgeItem = priorityQueue.shift();
-            const minEdge = minEdgeItem.edge;
-            steps.push({});
-            const fromVisited = visited.has(minEdge.from);
-            const toVisited = visited.has(minEdge.to);
-            if ((fromVisited && !toVisited) || (!fromVisited && toVisited)) {
-                const newNode = fromVisited ? minEdge.to : minEdge.from;
-                steps.push({});
-                visited.add(newNode);
-                edges.forEach(edge => {
-                    const fromNew = (edge.from === newNode && !visited.has(edge.to));
-                    const toNew = (edge.to === newNode && !visited.has(edge.from));
-                    if (fromNew || toNew) {
-                         priorityQueue.push({ edge, weight: edge.weight });
-                    }
-                });
-                priorityQueue.sort((a, b) => a.weight - b.weight);
-                steps.push({});
-            } else {
-                steps.push({});
+        renderComparison();
+    }
+
+    function getComparisonLength() {
+        if (comparison.align === 'step') return Math.max(...comparison.lanes.map(lane => lane.steps.length));
+        return Math.max(...comparison.lanes.map(lane => lane.addEdgePositions.length)) + 1;
+    }
+
+    function getLaneCursor(lane) {
+        if (comparison.align === 'step') return Math.min(comparison.position, lane.steps.length);
+        if (comparison.position === 0) return 0;
+        return comparison.position <= lane.addEdgePositions.length ? lane.addEdgePositions[comparison.position - 1] : lane.steps.length;
+    }
+
+    function renderComparisonLane(lane) {
+        const cursor = getLaneCursor(lane);
+        const view = { mstEdges: [], graphComponents: state.graphComponents, tiedEdges: [], bottleneckEdge: null, cutEdges: [], cut: null, exercise: null, sensitivity: null, spt: null, clusters: null, sampledTree: [] };
+        resetStepData(view);
+
+        for (let i = 0; i < cursor; i++) {
+            const step = lane.steps[i];
+            if (step.action === 'addEdge') {
+                const edge = graph.edges.find(e => edgesMatch(graph, e, step.edge));
+                if (edge && !view.mstEdges.includes(edge)) view.mstEdges.push(edge);
             }
+            applyStepData(view, step);
         }
-        steps.push({});
-        return steps.length;
-    }
-
-    function countKruskalSteps() {
-        if (graph.nodes.length === 0) return 0;
-        const steps = [];
-        const edges = [...graph.edges];
-        edges.sort((a, b) => a.weight - b.weight);
-        const maxNodeId = graph.nodes.reduce((max, node) => Math.max(max, node.id), 0);
-        const parent = Array.from({ length: maxNodeId + 1 }, (_, i) => i);
-        const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])));
-        const union = (u, v) => {
-            const rootU = find(u);
-            const rootV = find(v);
-            if (rootU !== rootV) {
-                parent[rootV] = rootU;
-                return true;
-            }
-            return false;
-        };
-        steps.push({});
-        let edgesAdded = 0;
-        for (let i = 0; i < edges.length; i++) {
-            if (edgesAdded >= graph.nodes.length - 1) break;
-            const edge = edges[i];
-            steps.push({});
-            if (union(edge.from, edge.to)) {
-                edgesAdded++;
-                steps.push({});
-                steps.push({});
-            } else {
-                steps.push({});
+        lane.mstEdges = view.mstEdges;
+        view.isComplete = cursor >= lane.steps.length;
+        view.isInMST = edge => view.mstEdges.includes(edge);
+
+        const lastStep = lane.steps[cursor - 1];
+        if (view.isComplete) {
+            const totalWeight = view.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+            lane.stepsPanel.innerHTML = `<div class="step-highlight">Algorithm complete!</div><div class="step-explanation">${view.mstEdges.length} edges with total weight ${totalWeight}.</div>`;
+            highlightPseudoLine(null, lane.pseudocode);
+        } else if (lastStep) {
+            if (lastStep.action === 'considerEdge' || lastStep.action === 'checkConnectivity') view.consideringEdge = lastStep.edge;
+            else if (lastStep.action === 'showInvalid') {
+                view.invalidEdges = lastStep.invalidEdges || [];
+                view.cyclePath = lastStep.cyclePath || [];
             }
+            lane.stepsPanel.innerHTML = lastStep.description;
+            highlightPseudoLine(lastStep.pseudoLine, lane.pseudocode);
+        } else {
+            lane.stepsPanel.innerHTML = 'Waiting to start.';
+            highlightPseudoLine(null, lane.pseudocode);
+        }
+
+        if (lane.ctx) {
+            const scale = Math.min(lane.canvas.width / comparison.sourceWidth, lane.canvas.height / comparison.sourceHeight) || 1;
+            lane.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            lane.ctx.clearRect(0, 0, lane.canvas.width, lane.canvas.height);
+            lane.ctx.setTransform(scale, 0, 0, scale, 0, 0);
+            renderGraph(lane.ctx, lane.canvas, view);
+            lane.ctx.setTransform(1, 0, 0, 1, 0, 0);
         }
-        steps.push({});
-        return steps.length;
+        renderDataStructures(lane.algorithm, view, lane);
     }
 
-    function generateGraph() {
-        resetFull(true);
-        const type = document.getElementById('graphTypeSelect').value;
-        let nodeCount = parseInt(document.getElementById('nodeCount').value);
-        
-        const generateCycleGraphLogic = () => {
-            graph.nodes = [];
-            graph.edges = [];
-            const current_nodeCount = parseInt(document.getElementById('nodeCount').value);
-            const centerX = canvas.width / 2;
-            const centerY = canvas.height / 2;
-
-            const radius = Math.min(canvas.width, canvas.height) * 0.4;
-            
-            for (let i = 0; i < current_nodeCount; i++) {
-                const angle = (2 * Math.PI * i) / current_nodeCount;
-                graph.nodes.push({ id: i, x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle), label: String.fromCharCode(65 + i) });
-            }
+    function renderComparison() {
+        if (!comparison.active) return;
+        comparison.lanes.forEach(renderComparisonLane);
+
+        const length = getComparisonLength();
+        const isAtEnd = comparison.position >= length;
+        const unit = comparison.align === 'step' ? 'Step' : 'MST edge event';
+        dom.getElementById('comparisonStatus').textContent = isAtEnd
+            ? 'Comparison Complete'
+            : `${comparison.intervalId ? 'Running' : 'Paused'} (${unit} ${comparison.position}/${length})`;
+        dom.getElementById('comparePauseResume').textContent = comparison.intervalId ? 'Pause' : 'Resume';
+        dom.getElementById('comparePauseResume').disabled = isAtEnd;
+        dom.getElementById('compareStepForward').disabled = isAtEnd || !!comparison.intervalId;
+        dom.getElementById('compareStepBackward').disabled = comparison.position === 0 || !!comparison.intervalId;
+
+        const summary = dom.getElementById('comparisonSummary');
+        if (isAtEnd) {
+            summary.innerHTML = buildComparisonSummary();
+            summary.classList.remove('hidden');
+        } else {
+            summary.classList.add('hidden');
+        }
+    }
 
-            const addEdge = (u, v, weight) => {
-                 if (u !== v && !graph.edges.some(e => (e.from === u && e.to === v) || (e.from === v && e.to === u))) {
-                    graph.edges.push({ from: u, to: v, weight, isInMST: false });
-                }
-            };
+    function buildComparisonSummary() {
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const edgeLabel = edge => edge ? `${labelOf(edge.from)}-${labelOf(edge.to)} (${edge.weight})` : '-';
+        const [prim, kruskal] = comparison.lanes;
+        const primWeight = prim.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        const kruskalWeight = kruskal.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        const sameEdges = prim.mstEdges.length === kruskal.mstEdges.length && prim.mstEdges.every(edge => kruskal.mstEdges.includes(edge));
+
+        const rows = [];
+        let differences = 0;
+        for (let i = 0; i < Math.max(prim.mstEdges.length, kruskal.mstEdges.length); i++) {
+            const differs = prim.mstEdges[i] !== kruskal.mstEdges[i];
+            if (differs) differences++;
+            rows.push(`<tr class="${differs ? 'order-differs' : ''}"><td>${i + 1}</td><td>${edgeLabel(prim.mstEdges[i])}</td><td>${edgeLabel(kruskal.mstEdges[i])}</td></tr>`);
+        }
 
-            const edgeDensity = parseInt(document.getElementById('edgeDensity').value) / 100;
-            const maxEdges = (current_nodeCount * (current_nodeCount - 1)) / 2;
-            const targetEdgeCount = Math.floor(maxEdges * edgeDensity);
+        const weightText = primWeight === kruskalWeight
+            ? `Both algorithms produce a spanning ${state.graphComponents.length > 1 ? 'forest' : 'tree'} of total weight <strong>${primWeight}</strong>.`
+            : `Prim's total weight is <strong>${primWeight}</strong> while Kruskal's is <strong>${kruskalWeight}</strong>.`;
+        const edgeSetText = sameEdges
+            ? 'They select exactly the same set of edges.'
+            : 'They select different edges of equal total weight, which is possible when several edges share a weight.';
+        const orderText = differences === 0
+            ? 'The edges were added in the same order.'
+            : `The order of addition differs at ${differences} of ${rows.length} positions (highlighted): Prim's grows one tree outward from the start node, while Kruskal's always takes the globally lightest safe edge.`;
+
+        const [primCounters, kruskalCounters] = comparison.lanes.map(lane => lane.steps[lane.steps.length - 1].counters);
+        const counterLabels = new Map([...OPERATION_COUNTERS.prim, ...OPERATION_COUNTERS.kruskal]);
+        const counterRows = [...counterLabels]
+            .map(([key, label]) => `<tr><td>${label}</td><td>${primCounters[key]}</td><td>${kruskalCounters[key]}</td></tr>`)
+            .join('');
+
+        return `<div class="info-title">Comparison Summary</div>
+            <div class="step-highlight">${weightText}</div>
+            <div class="step-explanation">${edgeSetText} ${orderText}</div>
+            <table class="comparison-table"><thead><tr><th>#</th><th>Prim's</th><th>Kruskal's</th></tr></thead><tbody>${rows.join('')}</tbody></table>
+            <table class="comparison-table"><thead><tr><th>Operation</th><th>Prim's</th><th>Kruskal's</th></tr></thead><tbody>${counterRows}</tbody></table>`;
+    }
+
+    function advanceComparison() {
+        if (comparison.position < getComparisonLength()) {
+            comparison.position++;
+        }
+        if (comparison.position >= getComparisonLength()) stopComparisonPlayback();
+        renderComparison();
+    }
 
-            for (let i = 0; i < current_nodeCount; i++) {
-                const u = i;
-                const v = (i + 1) % current_nodeCount;
-                const weight = 15 + Math.floor(Math.random() * 10) + (i * 2);
-                addEdge(u, v, weight);
+    function stopComparisonPlayback() {
+        if (comparison.intervalId) clearInterval(comparison.intervalId);
+        comparison.intervalId = null;
+    }
+
+    function toggleComparisonPlayback() {
+        if (comparison.intervalId) stopComparisonPlayback();
+        else if (comparison.position < getComparisonLength()) comparison.intervalId = setInterval(advanceComparison, getAnimationDelay());
+        renderComparison();
+    }
+
+    function stepComparison(delta) {
+        stopComparisonPlayback();
+        comparison.position = Math.max(0, Math.min(getComparisonLength(), comparison.position + delta));
+        renderComparison();
+    }
+
+    // QUIZ MODE
+    function startQuiz(algorithm) {
+        quiz = { active: false, style: null, pending: null, answered: new Set(), resume: false, score: 0, total: 0, mistakes: [] };
+        if (dom.getElementById('quizMode').checked) {
+            const style = typeof algorithm.quiz === 'function' ? algorithm.quiz() : algorithm.quiz;
+            if (!style) {
+                showToast(`Quiz mode is not available for ${algorithm.name}${algorithm.quiz ? ' with these options' : ''}.`, "warning");
+                updateQuizUI();
+                return false;
             }
+            quiz.active = true;
+            quiz.style = style;
+        }
+        updateQuizUI();
+        return true;
+    }
 
-            const trapEdges = [];
-            const baseTrapCount = current_nodeCount <= 7 ? Math.max(3, Math.floor(current_nodeCount * 0.8)) : Math.max(2, Math.floor(current_nodeCount / 3));
-            const trapCount = Math.min(baseTrapCount, Math.floor((targetEdgeCount - current_nodeCount) * 0.7));
-            
-            for (let gap = 2; gap <= 3; gap++) {
-                for (let i = 0; i < current_nodeCount && trapEdges.length < trapCount; i++) {
-                    const j = (i + gap) % current_nodeCount;
-                    if (i !== j && !graph.edges.some(e => 
-                        (e.from === i && e.to === j) || (e.from === j && e.to === i))) {
-                        trapEdges.push({ from: i, to: j });
-                    }
-                }
+    function askQuizQuestion(stepIndex) {
+        if (!quiz.active || quiz.answered.has(stepIndex)) return false;
+        const step = state.steps[stepIndex];
+        const kind = step.action === 'considerEdge' ? 'pick' : (step.action === 'addEdge' || step.action === 'showInvalid' ? 'decide' : null);
+        if (!kind) return false;
+
+        if (!quiz.pending) quiz.resume = state.isRunning;
+        clearInterval(state.intervalId);
+        state.intervalId = null;
+        state.isRunning = false;
+        quiz.pending = { kind, stepIndex, step };
+
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const prompt = kind === 'pick'
+            ? (quiz.style === 'priorityQueue'
+                ? `Which edge will be extracted from the priority queue next? Click it on the canvas.`
+                : `Which edge comes next in the sorted edge list? Click it on the canvas.`)
+            : `Will <strong>${labelOf(step.edge.from)}-${labelOf(step.edge.to)}</strong> be added to the tree or discarded?`;
+        dom.getElementById('algorithm-steps-panel').innerHTML = `<div class="step-highlight">Quiz question ${quiz.total + 1}</div><div class="step-explanation">${prompt}</div>`;
+        updateQuizUI();
+        updateAnimationControls();
+        return true;
+    }
+
+    function explainWrongPick(edge, expected) {
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const name = e => `${labelOf(e.from)}-${labelOf(e.to)}`;
+        const terms = OBJECTIVE_TERMS[getObjective() === 'maximum' ? 'maximum' : 'minimum'];
+        const tieRule = dom.getElementById('tieBreakSelect').selectedOptions[0].textContent.toLowerCase();
+
+        if (quiz.style === 'priorityQueue') {
+            if (!state.priorityQueue.some(item => edgesMatch(graph, item.edge, edge))) {
+                const fromVisited = state.visitedNodes.has(edge.from);
+                const toVisited = state.visitedNodes.has(edge.to);
+                if (fromVisited && toVisited) return `${name(edge)} is not in the priority queue: both its endpoints are already in the tree.`;
+                if (!fromVisited && !toVisited) return `${name(edge)} is not in the priority queue: it does not touch the tree yet.`;
+                return `${name(edge)} is not in the priority queue.`;
             }
+            if (edge.weight !== expected.weight) return `${name(edge)} is in the priority queue, but it is not the ${terms.extreme}: ${name(expected)} (weight ${expected.weight}) is ${terms.better} than ${edge.weight}.`;
+        } else {
+            if (!state.sortedEdges || !state.sortedEdges.some(e => edgesMatch(graph, e, edge))) return `${name(edge)} has already been considered earlier in the sorted order.`;
+            if (edge.weight !== expected.weight) return `Edges are considered in sorted order, and ${name(expected)} (weight ${expected.weight}) comes before ${name(edge)} (weight ${edge.weight}).`;
+        }
+        return `${name(edge)} ties with ${name(expected)} at weight ${edge.weight}; the tie-breaking rule (${tieRule}) picks ${name(expected)} first.`;
+    }
+
+    function explainWrongDecision(step) {
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const name = `${labelOf(step.edge.from)}-${labelOf(step.edge.to)}`;
+        const accepted = step.action === 'addEdge';
+        if (quiz.style === 'priorityQueue') {
+            const newNode = state.visitedNodes.has(step.edge.from) ? step.edge.to : step.edge.from;
+            return accepted
+                ? `${name} connects the tree to the unvisited node ${labelOf(newNode)}, so it cannot close a cycle.`
+                : `Both endpoints of ${name} are already visited, so adding it would close a cycle.`;
+        }
+        return accepted
+            ? `The endpoints of ${name} are in different sets, so it cannot close a cycle.`
+            : `The endpoints of ${name} are already in the same set, so adding it would close a cycle.`;
+    }
 
-            trapEdges.slice(0, trapCount).forEach(trap => {
-                const weight = Math.floor(Math.random() * 5) + 1;
-                addEdge(trap.from, trap.to, weight);
+    function answerQuiz(answer) {
+        const { kind, stepIndex, step } = quiz.pending;
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const isCorrect = kind === 'pick' ? edgesMatch(graph, answer, step.edge) : answer === (step.action === 'addEdge' ? 'accept' : 'discard');
+
+        quiz.total++;
+        if (isCorrect) {
+            quiz.score++;
+            showToast('Correct!', 'success');
+        } else {
+            const explanation = kind === 'pick' ? explainWrongPick(answer, step.edge) : explainWrongDecision(step);
+            quiz.mistakes.push({
+                question: quiz.total,
+                answer: kind === 'pick' ? `${labelOf(answer.from)}-${labelOf(answer.to)}` : answer,
+                expected: kind === 'pick' ? `${labelOf(step.edge.from)}-${labelOf(step.edge.to)}` : (step.action === 'addEdge' ? 'accept' : 'discard'),
+                explanation
             });
+            showToast(explanation, 'error');
+        }
 
-            const remainingNeeded = targetEdgeCount - graph.edges.length;
-            
-            if (remainingNeeded > 0) {
-                const allPossibleEdges = [];
-                for (let i = 0; i < current_nodeCount; i++) {
-                    for (let j = i + 1; j < current_nodeCount; j++) {
-                        if (!graph.edges.some(e => 
-                            (e.from === i && e.to === j) || (e.from === j && e.to === i))) {
-                            allPossibleEdges.push({ from: i, to: j });
-                        }
-                    }
-                }
+        quiz.answered.add(stepIndex);
+        quiz.pending = null;
+        const resume = quiz.resume;
+        stepForward();
+        if (resume && state.currentStep < state.totalSteps) togglePauseResume();
+        updateQuizUI();
+    }
 
-                for (let i = allPossibleEdges.length - 1; i > 0; i--) {
-                    const j = Math.floor(Math.random() * (i + 1));
-                    [allPossibleEdges[i], allPossibleEdges[j]] = [allPossibleEdges[j], allPossibleEdges[i]];
-                }
+    function updateQuizUI() {
+        const showPanel = quiz.active || quiz.total > 0;
+        dom.getElementById('quizPanel').classList.toggle('hidden', !showPanel);
+        dom.getElementById('quizDecision').classList.toggle('hidden', !(quiz.pending && quiz.pending.kind === 'decide'));
+        dom.getElementById('quizScore').textContent = `Score: ${quiz.score} / ${quiz.total}`;
+        dom.getElementById('quizReview').innerHTML = quiz.mistakes
+            .map(m => `<li><strong>Q${m.question}:</strong> you answered ${m.answer}, expected ${m.expected}. ${m.explanation}</li>`)
+            .join('');
+    }
 
-                for (let i = 0; i < Math.min(remainingNeeded, allPossibleEdges.length); i++) {
-                    const edge = allPossibleEdges[i];
-                    const weight = Math.floor(Math.random() * 30) + 20;
-                    addEdge(edge.from, edge.to, weight);
-                }
+    // BUILD-YOUR-OWN EXERCISE
+    function toggleExercise() {
+        if (exercise.active) {
+            exercise = { active: false, selected: [], hint: null };
+            state.cutSide.clear();
+            dom.getElementById('exerciseFeedback').classList.add('hidden');
+        } else {
+            if (graph.edges.length === 0) {
+                showToast("Create a graph with edges before starting the exercise.", "warning");
+                return;
             }
-        };
+            if (graph.directed) {
+                showToast("The exercise needs an undirected graph.", "warning");
+                return;
+            }
+            resetAnimationState(false);
+            if (state.isExploringCut) toggleCutExplorer();
+            state.cutSide.clear();
+            exercise = { active: true, selected: [], hint: null };
+            dom.getElementById('exerciseFeedback').classList.add('hidden');
+            showToast("Click edges to build your spanning tree, then press Submit.", "info");
+        }
+        updateExerciseUI();
+        updateAnimationControls();
+        drawGraph();
+    }
 
-        if (type === 'cycle') {
-            let attempts = 0;
-            let primSteps, kruskalSteps;
-            do {
-                generateCycleGraphLogic();
-                primSteps = countPrimSteps();
-                kruskalSteps = countKruskalSteps();
-                attempts++;
-                if (attempts > 50) {
-                    showToast("Could not generate a complex cycle graph. Using last attempt.", "warning");
-                    break;
-                }
-            } while (primSteps < 16 || kruskalSteps < 16);
+    function toggleExerciseEdge(edge) {
+        if (exercise.selected.includes(edge)) exercise.selected = exercise.selected.filter(e => e !== edge);
+        else exercise.selected.push(edge);
+        exercise.hint = null;
+        state.cutSide.clear();
+        drawGraph();
+    }
 
-        } else {
-            graph.nodes = [];
-            graph.edges = [];
-            const centerX = canvas.width / 2;
-            const centerY = canvas.height / 2;
+    function computeReferenceTree() {
+        return kruskalSteps(graph, getAlgorithmContext()).steps
+            .filter(step => step.action === 'addEdge')
+            .map(step => graph.edges.find(e => edgesMatch(graph, e, step.edge)));
+    }
 
-            const radius = Math.min(canvas.width, canvas.height) * 0.4;
-            
-            for (let i = 0; i < nodeCount; i++) {
-                const angle = (2 * Math.PI * i) / nodeCount;
-                graph.nodes.push({ id: i, x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle), label: String.fromCharCode(65 + i) });
+    function findImprovingSwap(treeEdges, maximize) {
+        let best = null;
+        graph.edges.forEach(candidate => {
+            if (treeEdges.includes(candidate)) return;
+            const path = findTreePath(treeEdges, candidate.from, candidate.to);
+            if (!path) return;
+            path.forEach(edge => {
+                const gain = maximize ? candidate.weight - edge.weight : edge.weight - candidate.weight;
+                if (gain > 0 && (!best || gain > best.gain)) best = { add: candidate, remove: edge, gain };
+            });
+        });
+        return best;
+    }
+
+    function gradeExercise() {
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const name = e => `<strong>${labelOf(e.from)}-${labelOf(e.to)}</strong> (${e.weight})`;
+        const selected = exercise.selected.filter(edge => graph.edges.includes(edge));
+        const maximize = getObjective() === 'maximum';
+        const terms = OBJECTIVE_TERMS[maximize ? 'maximum' : 'minimum'];
+        exercise.selected = selected;
+        exercise.hint = null;
+        state.cutSide.clear();
+
+        const parent = new Map(graph.nodes.map(n => [n.id, n.id]));
+        const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+        const chosen = [];
+        for (const edge of selected) {
+            const rootFrom = find(edge.from);
+            const rootTo = find(edge.to);
+            if (rootFrom === rootTo) {
+                const cycle = [...findTreePath(chosen, edge.from, edge.to), edge];
+                return { correct: false, html: `Your selection contains a cycle: ${cycle.map(name).join(', ')}. A spanning tree has no cycles, so at least one of these edges must go.` };
             }
+            parent.set(rootFrom, rootTo);
+            chosen.push(edge);
+        }
 
-            const addEdge = (u, v, weight) => {
-                 if (u !== v && !graph.edges.some(e => (e.from === u && e.to === v) || (e.from === v && e.to === u))) {
-                    graph.edges.push({ from: u, to: v, weight, isInMST: false });
-                }
-            };
+        const expectedCount = graph.nodes.length - findConnectedComponents(graph).length;
+        if (chosen.length < expectedCount) {
+            const groups = {};
+            graph.nodes.forEach(n => (groups[find(n.id)] = groups[find(n.id)] || []).push(n.label));
+            const pieces = Object.values(groups).map(labels => `{${labels.join(', ')}}`).join(' ');
+            return { correct: false, html: `Your selection does not span the graph yet: it falls apart into ${pieces}. Add ${expectedCount - chosen.length} more edge${expectedCount - chosen.length === 1 ? '' : 's'} to connect them.` };
+        }
 
-            if (type === 'random') {
-                const edgeDensity = parseInt(document.getElementById('edgeDensity').value) / 100;
-                const parent = Array.from({ length: nodeCount }, (_, i) => i);
-                const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])));
-                const union = (u, v) => {
-                    const rootU = find(u);
-                    const rootV = find(v);
-                    if (rootU !== rootV) {
-                        parent[rootV] = rootU;
-                        return true;
-                    }
-                    return false;
-                };
-                
-                let sets = nodeCount;
-                while (sets > 1) {
-                    const u = Math.floor(Math.random() * nodeCount);
-                    const v = Math.floor(Math.random() * nodeCount);
-                    if (find(u) !== find(v)) {
-                        addEdge(u, v, Math.floor(Math.random() * 20) + 1);
-                        union(u, v);
-                        sets--;
-                    }
-                }
+        const reference = computeReferenceTree();
+        const selectedWeight = chosen.reduce((sum, e) => sum + e.weight, 0);
+        const referenceWeight = reference.reduce((sum, e) => sum + e.weight, 0);
+        if (selectedWeight === referenceWeight) {
+            return { correct: true, html: `Correct! Your spanning tree weighs ${selectedWeight}, the same as the ${terms.tree} Tree found by Kruskal's algorithm.` };
+        }
 
-                const maxEdges = nodeCount * (nodeCount - 1) / 2;
-                const targetEdges = Math.floor(maxEdges * edgeDensity);
-                while (graph.edges.length < targetEdges && graph.edges.length < maxEdges) {
-                    const u = Math.floor(Math.random() * nodeCount);
-                    const v = Math.floor(Math.random() * nodeCount);
-                    addEdge(u, v, Math.floor(Math.random() * 20) + 1);
+        const swap = findImprovingSwap(chosen, maximize);
+        exercise.hint = swap;
+        splitTreeAt(chosen, swap.remove).forEach(id => state.cutSide.add(id));
+        return {
+            correct: false,
+            html: `Your spanning tree weighs ${selectedWeight}, but Kruskal's algorithm finds one weighing ${referenceWeight}.<br>` +
+                `<em>Cycle property:</em> ${name(swap.add)} closes a cycle with your tree on which ${name(swap.remove)} is the ${terms.worst} edge.<br>` +
+                `<em>Cut property:</em> removing ${name(swap.remove)} splits your tree into the highlighted cut, and ${name(swap.add)} is a ${terms.better} edge crossing it.<br>` +
+                `Swapping them would change the weight by ${maximize ? '+' : '-'}${swap.gain}.`
+        };
+    }
+
+    function submitExercise() {
+        if (!exercise.active) return;
+        const result = gradeExercise();
+        const feedback = dom.getElementById('exerciseFeedback');
+        feedback.innerHTML = result.html;
+        feedback.classList.remove('hidden');
+        feedback.classList.toggle('correct', result.correct);
+        showToast(result.correct ? 'Correct spanning tree!' : 'Not quite, see the feedback.', result.correct ? 'success' : 'error');
+        drawGraph();
+    }
+
+    function updateExerciseUI() {
+        const hideStats = exercise.active && dom.getElementById('exerciseHideStats').checked;
+        const btn = dom.getElementById('exerciseBtn');
+        btn.textContent = exercise.active ? 'End Exercise' : 'Start Exercise';
+        btn.classList.toggle('active', exercise.active);
+        dom.getElementById('submitExerciseBtn').disabled = !exercise.active;
+        dom.getElementById('exerciseLockGraph').disabled = exercise.active;
+        dom.getElementById('exerciseHideStats').disabled = exercise.active;
+        dom.querySelector('.stats-panel').classList.toggle('hidden', hideStats);
+        updateUndoRedoButtons();
+    }
+
+    function isGraphLockedForExercise() {
+        return exercise.active && dom.getElementById('exerciseLockGraph').checked;
+    }
+
+    // DYNAMIC MST UPDATES
+    function canUpdateDynamically() {
+        if (!dom.getElementById('dynamicMstMode').checked || !state.isComplete) return false;
+        if (graph.directed || !getSelectedAlgorithm().spanning || getObjective() === 'maximum') {
+            showToast("Dynamic updates only follow undirected minimum spanning trees. Run the algorithm again to refresh the tree.", "info");
+            return false;
+        }
+        return true;
+    }
+
+    function applyDynamicUpdate({ kind, edge, oldWeight }) {
+        if (!canUpdateDynamically()) return;
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const edgeName = e => `${labelOf(e.from)}-${labelOf(e.to)}`;
+        const sideLabels = ids => `{${graph.nodes.filter(n => ids.has(n.id)).map(n => n.label).join(', ')}}`;
+        const wasInTree = kind !== 'add' && edge.isInMST;
+        const otherTreeEdges = graph.edges.filter(e => e.isInMST && e !== edge);
+        const startTree = wasInTree && kind !== 'delete' ? [...otherTreeEdges, edge] : otherTreeEdges;
+        const improves = kind === 'add' || (kind === 'weight' && !wasInTree && edge.weight < oldWeight);
+        const worsens = wasInTree && (kind === 'delete' || edge.weight > oldWeight);
+
+        const headline = {
+            add: `Edge ${edgeName(edge)} (${edge.weight}) was added`,
+            weight: `Edge ${edgeName(edge)} changed weight from ${oldWeight} to ${edge.weight}`,
+            delete: `${wasInTree ? 'Tree edge' : 'Edge'} ${edgeName(edge)} (${edge.weight}) was deleted`,
+        }[kind];
+        let intro;
+        if (improves) intro = `The old tree still spans the graph, but ${edgeName(edge)} might now beat one of its edges. It can only replace an edge on the cycle it would close.`;
+        else if (worsens) intro = `${edgeName(edge)} ${kind === 'delete' ? 'is gone' : 'got heavier'}, so the tree may no longer be minimum${kind === 'delete' ? ' or even connected' : ''}. Only edges across the cut it spans can take its place.`;
+        else if (kind === 'delete') intro = `The tree never used ${edgeName(edge)}, so it is still a minimum spanning tree.`;
+        else if (wasInTree) intro = `A tree edge got lighter. Every spanning tree containing it got cheaper by the same amount, so this tree is still minimum.`;
+        else intro = `The tree does not use ${edgeName(edge)} and it did not get lighter, so the tree is still minimum.`;
+
+        const steps = [{
+            action: 'setTree', treeEdges: startTree, edge: kind === 'delete' ? null : edge,
+            description: `<div class="step-highlight">Dynamic update: ${headline}</div><div class="step-explanation">${intro}</div>`,
+            pseudoLine: improves ? 1 : (worsens ? 5 : 9),
+        }];
+
+        if (improves) {
+            const path = findTreePath(startTree, edge.from, edge.to);
+            if (!path) {
+                steps.push({
+                    action: 'addEdge', edge,
+                    description: `<div class="step-highlight">Add ${edgeName(edge)} (${edge.weight})</div><div class="step-explanation">No tree path joins ${labelOf(edge.from)} and ${labelOf(edge.to)}, so the new edge links two separate trees without closing a cycle.</div>`,
+                    pseudoLine: 2,
+                });
+            } else {
+                const worst = path.reduce((current, e) => (e.weight > current.weight ? e : current), path[0]);
+                steps.push({
+                    action: 'showInvalid', invalidEdges: [], cyclePath: path,
+                    description: `<div class="step-highlight">Find the cycle</div><div class="step-explanation">The tree joins ${labelOf(edge.from)} and ${labelOf(edge.to)} through ${path.map(e => `${edgeName(e)} (${e.weight})`).join(', ')}, drawn in purple. The heaviest edge on that path is <strong>${edgeName(worst)}</strong> (weight ${worst.weight}).</div>`,
+                    pseudoLine: 3,
+                });
+                if (edge.weight < worst.weight) {
+                    steps.push({
+                        action: 'removeEdge', edge: worst,
+                        description: `<div class="step-highlight">Remove ${edgeName(worst)} (${worst.weight})</div><div class="step-explanation">${edgeName(worst)} is now the heaviest edge on the cycle closed by ${edgeName(edge)}. By the cycle property it can be left out of a minimum spanning tree.</div>`,
+                        pseudoLine: 4,
+                    });
+                    steps.push({
+                        action: 'addEdge', edge,
+                        description: `<div class="step-highlight">Add ${edgeName(edge)} (${edge.weight})</div><div class="step-explanation">Swapping ${edgeName(worst)} for ${edgeName(edge)} keeps the tree connected and makes it ${worst.weight - edge.weight} lighter.</div>`,
+                        pseudoLine: 4,
+                    });
+                } else {
+                    steps.push({
+                        action: 'showInvalid', invalidEdges: [edge], cyclePath: path,
+                        description: `<div class="step-highlight">Keep the tree</div>${describeCycle(graph, edge, path, OBJECTIVE_TERMS.minimum)}`,
+                        pseudoLine: 4,
+                    });
                 }
-            } else if (type === 'complete') {
-                for (let i = 0; i < nodeCount; i++) {
-                    for (let j = i + 1; j < nodeCount; j++) {
-                        addEdge(i, j, Math.floor(Math.random() * 20) + 1);
-                    }
+            }
+        } else if (worsens) {
+            const side = splitTreeAt([...otherTreeEdges, edge], edge);
+            const otherSide = new Set(graph.nodes.filter(n => !side.has(n.id)).map(n => n.id));
+            const crossing = graph.edges.filter(e => e !== edge && side.has(e.from) !== side.has(e.to));
+            const best = crossing.reduce((current, e) => (!current || e.weight < current.weight ? e : current), null);
+            steps.push({
+                action: 'considerEdge', edge, chosenEdges: crossing,
+                description: `<div class="step-highlight">Look across the cut</div><div class="step-explanation">Without ${edgeName(edge)} the tree falls apart into ${sideLabels(side)} and ${sideLabels(otherSide)}. ${crossing.length === 0 ? 'No other edge crosses this cut.' : `${crossing.length} other edge${crossing.length === 1 ? ' crosses' : 's cross'} it, highlighted in yellow. The lightest is <strong>${edgeName(best)}</strong> (weight ${best.weight}).`}</div>`,
+                pseudoLine: 7,
+            });
+            if (!best) {
+                steps.push({
+                    chosenEdges: [],
+                    description: kind === 'delete'
+                        ? `<div class="step-highlight">The graph is disconnected</div><div class="step-explanation">Nothing can reconnect the two sides, so the tree splits into a spanning forest of two trees.</div>`
+                        : `<div class="step-highlight">Keep ${edgeName(edge)}</div><div class="step-explanation">${edgeName(edge)} is a bridge: it is the only edge across the cut, so every spanning tree must use it whatever its weight.</div>`,
+                    pseudoLine: 9,
+                });
+            } else if (kind === 'weight' && best.weight >= edge.weight) {
+                steps.push({
+                    chosenEdges: [],
+                    description: `<div class="step-highlight">Keep ${edgeName(edge)} (${edge.weight})</div><div class="step-explanation">No crossing edge is lighter than the new weight, so ${edgeName(edge)} is still a lightest edge across its cut. By the cut property the tree stays minimum.</div>`,
+                    pseudoLine: 8,
+                });
+            } else {
+                if (kind === 'weight') {
+                    steps.push({
+                        action: 'removeEdge', edge, chosenEdges: [best],
+                        description: `<div class="step-highlight">Remove ${edgeName(edge)} (${edge.weight})</div><div class="step-explanation">${edgeName(best)} (${best.weight}) now crosses the same cut more cheaply, so ${edgeName(edge)} is no longer needed.</div>`,
+                        pseudoLine: 8,
+                    });
                 }
+                steps.push({
+                    action: 'addEdge', edge: best, chosenEdges: [],
+                    description: `<div class="step-highlight">Add ${edgeName(best)} (${best.weight})</div><div class="step-explanation">The lightest edge across the cut reconnects the two sides. By the cut property the result is again a minimum spanning tree.</div>`,
+                    pseudoLine: 8,
+                });
             }
         }
-        
+
+        quiz.active = false;
+        updateQuizUI();
+        state.steps = steps;
+        state.stepsPseudocode = 'dynamic';
+        state.totalSteps = steps.length;
+        state.currentStep = 0;
+        state.isComplete = false;
+        state.tiedEdges = [];
+        state.alternativeTrees = [];
+        state.alternativeIndex = 0;
+        state.bottleneckEdge = null;
+        state.cutEdges = [];
+        state.sensitivity = new Map();
+        resetStepData(state);
+        renderPseudocode('dynamic');
+
+        state.isRunning = true;
+        state.algorithmLocked = true;
+        updateAnimationControls();
+        state.intervalId = setInterval(animateStep, getAnimationDelay());
+    }
+
+    // COMPLEXITY BENCHMARK
+    function createBenchmarkGraph(nodeCount, density) {
+        const benchmarkGraph = createGraph();
+        benchmarkGraph.nodes = Array.from({ length: nodeCount }, (_, id) => ({ id, x: 0, y: 0, label: String(id) }));
+        const keys = new Set();
+        const addEdge = (from, to) => {
+            const key = from < to ? `${from}-${to}` : `${to}-${from}`;
+            if (from === to || keys.has(key)) return;
+            keys.add(key);
+            benchmarkGraph.edges.push({ from, to, weight: Math.floor(Math.random() * 99) + 1, isInMST: false });
+        };
+        for (let i = 1; i < nodeCount; i++) addEdge(Math.floor(Math.random() * i), i);
+        const maxEdges = nodeCount * (nodeCount - 1) / 2;
+        const target = Math.max(nodeCount - 1, Math.round(maxEdges * density));
+        if (density >= 1) {
+            for (let i = 0; i < nodeCount; i++) for (let j = i + 1; j < nodeCount; j++) addEdge(i, j);
+        } else {
+            while (benchmarkGraph.edges.length < target) addEdge(Math.floor(Math.random() * nodeCount), Math.floor(Math.random() * nodeCount));
+        }
+        return benchmarkGraph;
+    }
+
+    // Runs one of the step producers with step recording off and returns only its operation counters.
+    function countOperations(generate) {
+        const counters = createOperationCounters();
+        generate({ counters, recordSteps: false });
+        return counters;
+    }
+
+    function runBenchmark() {
+        const unionStrategy = dom.getElementById('unionStrategySelect').value;
+        const pathCompression = dom.getElementById('pathCompression').checked;
+        const results = [];
+        BENCHMARK_NODE_COUNTS.forEach(nodeCount => {
+            BENCHMARK_DENSITIES.forEach(density => {
+                const benchmarkGraph = createBenchmarkGraph(nodeCount, density);
+                results.push({
+                    nodeCount,
+                    density,
+                    edgeCount: benchmarkGraph.edges.length,
+                    lazyPrim: countOperations(options => primSteps(benchmarkGraph, { ...options, variant: 'lazy' })),
+                    eagerPrim: countOperations(options => primSteps(benchmarkGraph, { ...options, variant: 'eager' })),
+                    kruskal: countOperations(options => kruskalSteps(benchmarkGraph, { ...options, unionStrategy, pathCompression })),
+                });
+            });
+        });
+        results.sort((a, b) => a.edgeCount - b.edgeCount);
+        benchmarkResults = results;
+
+        dom.getElementById('benchmarkView').classList.remove('hidden');
+        drawBenchmarkChart(results);
+        renderBenchmarkTable(results);
+        dom.getElementById('benchmarkView').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    function fitConstant(results, measure, model) {
+        const numerator = results.reduce((sum, r) => sum + measure(r) * model(r), 0);
+        const denominator = results.reduce((sum, r) => sum + model(r) ** 2, 0);
+        return denominator > 0 ? numerator / denominator : 0;
+    }
+
+    function drawBenchmarkChart(results) {
+        const chart = dom.getElementById('benchmarkCanvas');
+        const chartCtx = chart.getContext('2d');
+        if (!chartCtx) return;
+        chart.width = chart.parentElement.clientWidth || 800;
+        chart.height = 360;
+        const isDarkMode = themeHost.classList.contains('dark-mode');
+        const pad = { left: 70, right: 20, top: 20, bottom: 45 };
+        const width = chart.width - pad.left - pad.right;
+        const height = chart.height - pad.top - pad.bottom;
+
+        const e = r => r.edgeCount;
+        const v = r => r.nodeCount;
+        const eLogV = r => r.edgeCount * Math.log2(r.nodeCount);
+        const eLogE = r => r.edgeCount * Math.log2(r.edgeCount);
+        const series = {
+            comparisons: [
+                { label: "Lazy Prim's comparisons", color: '#2196F3', measure: r => r.lazyPrim.comparisons, model: eLogV, modelLabel: 'c·E log V' },
+                { label: "Eager Prim's comparisons", color: '#9C27B0', measure: r => r.eagerPrim.comparisons, model: eLogV, modelLabel: 'c·E log V' },
+                { label: "Kruskal's comparisons", color: '#FF9800', measure: r => r.kruskal.comparisons, model: eLogE, modelLabel: 'c·E log E' },
+            ],
+            heap: [
+                { label: "Lazy Prim's pushes + pops", color: '#2196F3', measure: r => r.lazyPrim.pushes + r.lazyPrim.pops, model: e, modelLabel: 'c·E' },
+                { label: "Eager Prim's pushes + pops", color: '#9C27B0', measure: r => r.eagerPrim.pushes + r.eagerPrim.pops, model: v, modelLabel: 'c·V' },
+                { label: "Eager Prim's decrease-keys", color: '#4CAF50', measure: r => r.eagerPrim.decreaseKeys, model: e, modelLabel: 'c·E' },
+            ],
+            unionFind: [
+                { label: "Kruskal's find() calls", color: '#FF9800', measure: r => r.kruskal.finds, model: e, modelLabel: 'c·E' },
+                { label: "Kruskal's union() calls", color: '#E91E63', measure: r => r.kruskal.unions, model: v, modelLabel: 'c·V' },
+            ],
+        }[dom.getElementById('benchmarkMetricSelect').value];
+        series.forEach(line => line.constant = fitConstant(results, line.measure, line.model));
+
+        const maxX = Math.max(...results.map(r => r.edgeCount));
+        const maxY = Math.max(...results.flatMap(r => series.flatMap(line => [line.measure(r), line.constant * line.model(r)])));
+        const toX = x => pad.left + (x / maxX) * width;
+        const toY = y => pad.top + height - (y / maxY) * height;
+
+        chartCtx.clearRect(0, 0, chart.width, chart.height);
+        chartCtx.strokeStyle = isDarkMode ? 'rgba(255, 255, 255, 0.4)' : 'rgba(0, 0, 0, 0.4)';
+        chartCtx.lineWidth = 1;
+        chartCtx.beginPath();
+        chartCtx.moveTo(pad.left, pad.top);
+        chartCtx.lineTo(pad.left, pad.top + height);
+        chartCtx.lineTo(pad.left + width, pad.top + height);
+        chartCtx.stroke();
+
+        chartCtx.fillStyle = isDarkMode ? '#ffffff' : '#1e1e2f';
+        chartCtx.font = '12px Arial';
+        chartCtx.textAlign = 'center';
+        chartCtx.textBaseline = 'top';
+        chartCtx.fillText('Edges (E)', pad.left + width / 2, pad.top + height + 25);
+        [0, 0.25, 0.5, 0.75, 1].forEach(f => {
+            chartCtx.fillText(Math.round(maxX * f), toX(maxX * f), pad.top + height + 6);
+        });
+        chartCtx.textAlign = 'right';
+        chartCtx.textBaseline = 'middle';
+        [0, 0.25, 0.5, 0.75, 1].forEach(f => {
+            chartCtx.fillText(Math.round(maxY * f), pad.left - 8, toY(maxY * f));
+        });
+
+        series.forEach((line, i) => {
+            chartCtx.strokeStyle = line.color;
+            chartCtx.lineWidth = 2;
+            chartCtx.setLineDash([6, 4]);
+            chartCtx.beginPath();
+            results.forEach((r, j) => {
+                const x = toX(r.edgeCount);
+                const y = toY(line.constant * line.model(r));
+                if (j === 0) chartCtx.moveTo(x, y);
+                else chartCtx.lineTo(x, y);
+            });
+            chartCtx.stroke();
+            chartCtx.setLineDash([]);
+
+            chartCtx.fillStyle = line.color;
+            results.forEach(r => {
+                chartCtx.beginPath();
+                chartCtx.arc(toX(r.edgeCount), toY(line.measure(r)), 4, 0, Math.PI * 2);
+                chartCtx.fill();
+            });
+
+            chartCtx.textAlign = 'left';
+            chartCtx.fillText(`● ${line.label}   - - ${line.modelLabel} (c = ${line.constant.toFixed(2)})`, pad.left + 10, pad.top + 10 + i * 18);
+        });
+    }
+
+    function renderBenchmarkTable(results) {
+        const rows = results.map(r => `<tr>
+            <td>${r.nodeCount}</td><td>${r.edgeCount}</td>
+            <td>${r.lazyPrim.comparisons}</td><td>${r.lazyPrim.pushes} / ${r.lazyPrim.pops}</td>
+            <td>${r.eagerPrim.comparisons}</td><td>${r.eagerPrim.pushes} / ${r.eagerPrim.pops} / ${r.eagerPrim.decreaseKeys}</td>
+            <td>${r.kruskal.comparisons}</td><td>${r.kruskal.finds} / ${r.kruskal.findHops}</td><td>${r.kruskal.unions}</td>
+        </tr>`).join('');
+        dom.getElementById('benchmarkTable').innerHTML = `<table class="comparison-table">
+            <thead><tr><th>V</th><th>E</th><th>Lazy Prim cmp</th><th>Push / pop</th><th>Eager Prim cmp</th><th>Push / pop / decrease-key</th><th>Kruskal cmp</th><th>Finds / hops</th><th>Unions</th></tr></thead>
+            <tbody>${rows}</tbody></table>`;
+    }
+
+    // GRAPH GENERATION
+    function generateGraph() {
+        resetFull(true);
+        const type = dom.getElementById('graphTypeSelect').value;
+        const nodeCount = parseInt(dom.getElementById('nodeCount').value);
+        const selectedRoot = parseInt(dom.getElementById('rootNodeSelect').value);
+        const rootId = selectedRoot >= 0 && selectedRoot < nodeCount ? selectedRoot : 0;
+        const { graph: generated, complex } = generateGraphData({
+            type,
+            nodeCount,
+            density: parseInt(dom.getElementById('edgeDensity').value) / 100,
+            width: canvas.width,
+            height: canvas.height,
+            directed: graph.directed,
+            rootId,
+        });
+        if (!complex) showToast("Could not generate a complex cycle graph. Using last attempt.", "warning");
+
+        graph.nodes = generated.nodes;
+        graph.edges = generated.edges;
         nextNodeId = nodeCount;
         updateUIAfterGraphChange();
+        dom.getElementById('rootNodeSelect').value = rootId;
         showToast(`Generated a new '${type}' graph.`, 'success');
         
         saveState();
     }
 
     function setCanvasSize() {
+        if (comparison.active) {
+            sizeComparisonCanvases();
+            return;
+        }
         const container = canvas.parentElement;
         canvas.width = container.clientWidth;
         canvas.height = container.clientHeight;
         drawGraph();
     }
 
+    function getEdgeEndpoints(edge, fromNode, toNode) {
+        const hasReverse = graph.directed && graph.edges.some(e => e.from === edge.to && e.to === edge.from);
+        if (!hasReverse) return { x1: fromNode.x, y1: fromNode.y, x2: toNode.x, y2: toNode.y };
+        const length = Math.hypot(toNode.x - fromNode.x, toNode.y - fromNode.y) || 1;
+        const offsetX = -(toNode.y - fromNode.y) / length * 6;
+        const offsetY = (toNode.x - fromNode.x) / length * 6;
+        return { x1: fromNode.x + offsetX, y1: fromNode.y + offsetY, x2: toNode.x + offsetX, y2: toNode.y + offsetY };
+    }
+
     function calculateOptimalLabelPosition(edge, allEdges) {
         const fromNode = graph.nodes.find(n => n.id === edge.from);
         const toNode = graph.nodes.find(n => n.id === edge.to);
@@ -749,26 +1752,503 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (distance < 35) {
                     score += (35 - distance) * 5;
                 }
-            }
+            }
+
+            const centerDistance = Math.abs(pos.t - 0.5);
+            score += centerDistance * 5;
+
+            score += Math.abs(pos.offset) * 0.1;
+            
+            if (score < bestPosition.score) {
+                bestPosition = { x: pos.x, y: pos.y, score };
+            }
+        }
+        
+        return { x: bestPosition.x, y: bestPosition.y };
+    }
+
+    function drawGraph() {
+        if (!ctx) return;
+        const cut = getActiveCut();
+        const sensitivity = state.isComplete && dom.getElementById('sensitivityOverlay').checked ? state.sensitivity : null;
+        const spt = refreshShortestPathOverlay();
+        const clustering = refreshClustering();
+        const clusters = clustering && clustering.components.length > 1 ? clustering : null;
+        renderGraph(ctx, canvas, { ...state, cut, sensitivity, spt, clusters, exercise: exercise.active ? exercise : null, isInMST: edge => edge.isInMST });
+        updateDataStructuresUI();
+        updateStatsUI();
+        updateCutInfo(cut);
+        updateTreeCountInfo();
+    }
+
+    // CUT PROPERTY EXPLORER
+    function getActiveCut() {
+        const showPrimCut = dom.getElementById('showPrimCut').checked && getSelectedAlgorithm().growsFromStart && !state.isComplete;
+        const side = state.cutSide.size > 0 ? state.cutSide : (showPrimCut ? state.visitedNodes : null);
+        if (!side || side.size === 0) return null;
+
+        const inside = graph.nodes.filter(n => side.has(n.id)).map(n => n.id);
+        if (inside.length === 0 || inside.length === graph.nodes.length) return null;
+
+        const crossing = graph.edges.filter(edge => side.has(edge.from) !== side.has(edge.to));
+        const maximize = getObjective() === 'maximum';
+        const bestWeight = crossing.length > 0 ? Math[maximize ? 'max' : 'min'](...crossing.map(e => e.weight)) : null;
+        return {
+            source: side === state.cutSide ? 'user' : 'prim',
+            side: new Set(inside),
+            crossing,
+            lightest: crossing.filter(e => e.weight === bestWeight),
+            maximize
+        };
+    }
+
+    function updateCutInfo(cut) {
+        const info = dom.getElementById('cutInfo');
+        info.classList.toggle('hidden', !cut);
+        if (!cut) return;
+
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const sideLabels = ids => `{${ids.map(labelOf).join(', ')}}`;
+        const inside = graph.nodes.filter(n => cut.side.has(n.id)).map(n => n.id);
+        const outside = graph.nodes.filter(n => !cut.side.has(n.id)).map(n => n.id);
+        const header = `<strong>${cut.source === 'prim' ? "Prim's cut" : 'Cut'}:</strong> ${sideLabels(inside)} | ${sideLabels(outside)}`;
+
+        if (cut.crossing.length === 0) {
+            info.innerHTML = `${header}<br>No edge crosses this cut, so the two sides are disconnected.`;
+            return;
+        }
+        const best = cut.maximize ? 'Heaviest' : 'Lightest';
+        const currentTree = exercise.active ? exercise.selected : graph.mstEdges;
+        const treeName = exercise.active ? 'your tree' : 'the current tree';
+        const verdicts = cut.lightest.map(edge => {
+            const inTree = currentTree.some(e => edgesMatch(graph, e, edge));
+            return `<strong>${labelOf(edge.from)}-${labelOf(edge.to)}</strong> (${edge.weight}) ${inTree ? `✓ is in ${treeName}` : `✗ is not in ${treeName}`}`;
+        });
+        const tieNote = cut.lightest.length > 1 ? ' These edges tie, so each belongs to some optimal tree.' : '';
+        info.innerHTML = `${header}<br>${cut.crossing.length} crossing edge${cut.crossing.length === 1 ? '' : 's'}. ${best} crossing: ${verdicts.join(', ')}.${tieNote}<br><em>Cut property: the ${best.toLowerCase()} edge crossing any cut belongs to every ${cut.maximize ? 'maximum' : 'minimum'} spanning tree when it is unique.</em>`;
+    }
+
+    function toggleCutExplorer() {
+        state.isExploringCut = !state.isExploringCut;
+        const btn = dom.getElementById('exploreCutBtn');
+
+        if (state.isExploringCut) {
+            if (state.isDeletingNode) toggleDeleteMode();
+            if (state.isEditingEdge) toggleEditMode();
+            if (state.isDeletingEdge) toggleDeleteEdgeMode();
+            if (state.isMarkingTerminals) toggleTerminalMarking();
+            btn.classList.add('active');
+            btn.textContent = 'Stop Exploring';
+            state.firstNodeForEdge = null;
+            showToast("Click nodes or drag a lasso around them to put them on one side of the cut.", "info");
+        } else {
+            btn.classList.remove('active');
+            btn.textContent = 'Explore Cut';
+            state.lassoPoints = null;
+        }
+        updateCanvasCursor();
+        drawGraph();
+    }
+
+    function clearCut() {
+        state.cutSide.clear();
+        state.lassoPoints = null;
+        drawGraph();
+    }
+
+    function toggleCutSide(node) {
+        if (state.cutSide.has(node.id)) state.cutSide.delete(node.id);
+        else state.cutSide.add(node.id);
+        drawGraph();
+    }
+
+    function finishLasso() {
+        const points = state.lassoPoints;
+        state.lassoPoints = null;
+        if (points.length > 2) {
+            graph.nodes.filter(node => isPointInPolygon(node.x, node.y, points)).forEach(node => state.cutSide.add(node.id));
+        }
+        drawGraph();
+    }
+
+    function isPointInPolygon(x, y, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const { x: xi, y: yi } = points[i];
+            const { x: xj, y: yj } = points[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    }
+
+    // SHORTEST-PATH TREE OVERLAY
+    function growTreeFrom(startId, priority) {
+        const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+        graph.edges.forEach(edge => {
+            adjacency.get(edge.from)?.push(edge);
+            adjacency.get(edge.to)?.push(edge);
+        });
+        const distance = new Map();
+        const treeEdges = [];
+        const heap = createMinHeap((a, b) => a.key - b.key, createOperationCounters(), false);
+        heap.push({ node: startId, from: null, edge: null, key: 0 });
+        while (heap.size() > 0) {
+            const { node, from, edge } = heap.pop().top;
+            if (distance.has(node)) continue;
+            distance.set(node, edge ? distance.get(from) + edge.weight : 0);
+            if (edge) treeEdges.push(edge);
+            adjacency.get(node).forEach(next => {
+                const other = next.from === node ? next.to : next.from;
+                if (!distance.has(other)) heap.push({ node: other, from: node, edge: next, key: priority(distance.get(node), next) });
+            });
+        }
+        return treeEdges;
+    }
+
+    // The overlay panels are rebuilt only when their inputs change, so hover and drag redraws just repaint the canvas.
+    function graphSignature() {
+        return [
+            graph.directed,
+            graph.nodes.map(n => `${n.id}:${n.label}`).join(','),
+            graph.edges.map(e => `${e.from}-${e.to}:${e.weight}`).join(','),
+            graph.mstEdges.map(e => `${e.from}-${e.to}`).join(',')
+        ].join('|');
+    }
+
+    function refreshShortestPathOverlay() {
+        const key = [dom.getElementById('showSptOverlay').checked, getSelectedAlgorithm().id, dom.getElementById('startNodeSelect').value,
+            state.isComplete, getObjective(), graphSignature()].join('|');
+        if (overlayCache.spt.key !== key) {
+            overlayCache.spt = { key, value: getShortestPathOverlay() };
+            updateSptPanel(overlayCache.spt.value);
+        }
+        return overlayCache.spt.value;
+    }
+
+    function getShortestPathOverlay() {
+        if (!dom.getElementById('showSptOverlay').checked || !getSelectedAlgorithm().growsFromStart || graph.directed || graph.nodes.length === 0) return null;
+
+        const selectedStart = parseInt(dom.getElementById('startNodeSelect').value);
+        const startId = graph.nodes.some(n => n.id === selectedStart) ? selectedStart : graph.nodes[0].id;
+        const sptEdges = growTreeFrom(startId, (distance, edge) => distance + edge.weight);
+        const useRunTree = state.isComplete && graph.mstEdges.length > 0 && getObjective() === 'minimum';
+        const mstEdges = useRunTree
+            ? graph.mstEdges.map(mstEdge => graph.edges.find(e => edgesMatch(graph, e, mstEdge))).filter(Boolean)
+            : growTreeFrom(startId, (distance, edge) => edge.weight);
+
+        const pathCost = (treeEdges, nodeId) => {
+            const path = findTreePath(treeEdges, startId, nodeId);
+            return path ? path.reduce((sum, e) => sum + e.weight, 0) : null;
+        };
+        return {
+            startId,
+            sptEdges,
+            mstEdges,
+            both: sptEdges.filter(e => mstEdges.includes(e)),
+            rows: graph.nodes.map(node => ({ node, spt: pathCost(sptEdges, node.id), mst: pathCost(mstEdges, node.id) }))
+        };
+    }
+
+    function updateSptPanel(spt) {
+        const panel = dom.getElementById('sptPanel');
+        panel.classList.toggle('hidden', !spt);
+        if (!spt) return;
+
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const totalWeight = edges => edges.reduce((sum, e) => sum + e.weight, 0);
+        const formatCost = cost => (cost === null ? '—' : cost);
+        const rows = spt.rows.map(({ node, spt: sptCost, mst: mstCost }) => {
+            const extra = sptCost !== null && mstCost !== null ? mstCost - sptCost : null;
+            return `<tr class="${extra > 0 ? 'order-differs' : ''}"><td>${node.label}</td><td>${formatCost(sptCost)}</td><td>${formatCost(mstCost)}</td><td>${extra === null ? '—' : (extra > 0 ? `+${extra}` : '0')}</td></tr>`;
+        }).join('');
+        const detours = spt.rows.filter(row => row.spt !== null && row.mst !== null && row.mst > row.spt).length;
+
+        dom.getElementById('sptContent').innerHTML = `
+            <div class="spt-legend">
+                <span><i class="spt-both-color"></i>Both trees</span>
+                <span><i class="spt-only-color"></i>SPT only</span>
+                <span><i class="spt-mst-only-color"></i>MST only</span>
+            </div>
+            <table class="comparison-table">
+                <thead><tr><th>Node</th><th>SPT cost</th><th>MST cost</th><th>Detour</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="step-explanation">Total weight: SPT ${totalWeight(spt.sptEdges)}, MST ${totalWeight(spt.mstEdges)}. ${spt.both.length} of ${spt.sptEdges.length} SPT edges are also in the MST. The MST route from ${labelOf(spt.startId)} is longer for ${detours} node${detours === 1 ? '' : 's'}: Dijkstra minimises each node's distance from the start, while the MST minimises the sum of all edge weights.</div>`;
+    }
+
+    // SINGLE-LINKAGE CLUSTERING
+    function refreshClustering() {
+        const slider = dom.getElementById('clusterK');
+        const runKey = [state.isComplete, getSelectedAlgorithm().id, getObjective(), state.steps.length,
+            themeHost.classList.contains('dark-mode'), dom.getElementById('dendrogramCanvas').parentElement.clientWidth, graphSignature()].join('|');
+        if (overlayCache.clustering.key !== `${runKey}|${slider.value}`) {
+            const clustering = getClustering();
+            overlayCache.clustering = { key: `${runKey}|${slider.value}`, value: clustering };
+            updateClusterPanel(clustering);
+        }
+        return overlayCache.clustering.value;
+    }
+
+    function getClustering() {
+        const algorithm = getSelectedAlgorithm();
+        if (!state.isComplete || graph.directed || graph.mstEdges.length === 0 || getObjective() === 'maximum' || !algorithm.spanning) return null;
+
+        const toGraphEdge = edge => graph.edges.find(e => edgesMatch(graph, e, edge));
+        const treeEdges = graph.mstEdges.map(toGraphEdge).filter(Boolean);
+        const traceMerges = algorithm.mergesInWeightOrder ? state.steps.filter(step => step.action === 'addEdge').map(step => toGraphEdge(step.edge)) : [];
+        const fromTrace = traceMerges.length === treeEdges.length && traceMerges.every(edge => treeEdges.includes(edge));
+        const merges = fromTrace ? traceMerges : [...treeEdges].sort((a, b) => a.weight - b.weight);
+
+        const slider = dom.getElementById('clusterK');
+        const minK = graph.nodes.length - merges.length;
+        slider.min = minK;
+        slider.max = graph.nodes.length;
+        const k = Math.min(Math.max(parseInt(slider.value) || minK, minK), graph.nodes.length);
+        slider.value = k;
+
+        const kept = merges.slice(0, graph.nodes.length - k);
+        const parent = new Map(graph.nodes.map(node => [node.id, node.id]));
+        const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+        kept.forEach(edge => parent.set(find(edge.from), find(edge.to)));
+        const groups = new Map();
+        graph.nodes.forEach(node => {
+            const root = find(node.id);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(node.id);
+        });
+
+        return { k, minK, merges, fromTrace, components: [...groups.values()], removed: merges.slice(graph.nodes.length - k) };
+    }
+
+    function updateClusterPanel(clustering) {
+        const panel = dom.getElementById('clusterPanel');
+        panel.classList.toggle('hidden', !clustering);
+        if (!clustering) return;
+
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        const { k, minK, merges, removed, components } = clustering;
+        dom.getElementById('clusterKValue').textContent = k;
+        const clusterList = components.map((component, i) =>
+            `<span style="color: ${COMPONENT_COLORS[i % COMPONENT_COLORS.length]};">{${component.map(labelOf).join(', ')}}</span>`).join(' ');
+        const removedList = removed.map(edge => `${labelOf(edge.from)}-${labelOf(edge.to)} (${edge.weight})`).join(', ');
+        const lastKept = merges[graph.nodes.length - k - 1];
+        const tieNote = lastKept && removed.some(edge => edge.weight === lastKept.weight)
+            ? ` Weight ${lastKept.weight} is tied across the cut, so removing a different edge of that weight gives another valid ${k}-clustering.`
+            : '';
+        const removedNote = k > minK ? `Removing the ${k - minK} heaviest MST edge${k - minK === 1 ? '' : 's'} (${removedList}) leaves` : `The full ${minK > 1 ? 'forest' : 'tree'} gives`;
+        const mergeSource = clustering.fromTrace ? "Kruskal's merge order from the step trace" : "the MST edges sorted by weight, the order Kruskal's algorithm would merge them";
+        dom.getElementById('clusterSummary').innerHTML =
+            `${removedNote} ${components.length} cluster${components.length === 1 ? '' : 's'}: ${clusterList}.${tieNote}<br><em>The dendrogram replays ${mergeSource}; the dashed line is the height that cuts it into ${k} clusters.</em>`;
+        drawDendrogram(clustering);
+    }
+
+    function drawDendrogram(clustering) {
+        const chart = dom.getElementById('dendrogramCanvas');
+        const chartCtx = chart.getContext('2d');
+        if (!chartCtx) return;
+        chart.width = chart.parentElement.clientWidth || 600;
+        chart.height = 220;
+        const isDarkMode = themeHost.classList.contains('dark-mode');
+        const pad = { left: 40, right: 20, top: 15, bottom: 30 };
+        const width = chart.width - pad.left - pad.right;
+        const height = chart.height - pad.top - pad.bottom;
+
+        const clusterOf = new Map(graph.nodes.map(node => [node.id, { leaves: [node.id], height: 0, children: [] }]));
+        const owner = new Map(graph.nodes.map(node => [node.id, node.id]));
+        const find = id => (owner.get(id) === id ? id : find(owner.get(id)));
+        clustering.merges.forEach((edge, i) => {
+            const a = find(edge.from);
+            const b = find(edge.to);
+            const merged = { leaves: [...clusterOf.get(a).leaves, ...clusterOf.get(b).leaves], height: edge.weight, children: [clusterOf.get(a), clusterOf.get(b)], order: i };
+            owner.set(b, a);
+            clusterOf.set(a, merged);
+        });
+        const roots = graph.nodes.filter(node => find(node.id) === node.id).map(node => clusterOf.get(node.id));
+        const leafOrder = roots.flatMap(root => root.leaves);
+
+        const maxHeight = Math.max(1, ...clustering.merges.map(edge => edge.weight));
+        const spacing = width / Math.max(leafOrder.length, 1);
+        const toY = h => pad.top + height - (h / maxHeight) * height;
+        const keptMerges = graph.nodes.length - clustering.k;
+        const colorOf = id => getComponentColor(id, clustering.components);
+        const neutral = isDarkMode ? 'rgba(255, 255, 255, 0.5)' : 'rgba(0, 0, 0, 0.45)';
+
+        chartCtx.clearRect(0, 0, chart.width, chart.height);
+        chartCtx.lineWidth = 2;
+        const place = cluster => {
+            if (cluster.children.length === 0) {
+                cluster.x = pad.left + spacing * (leafOrder.indexOf(cluster.leaves[0]) + 0.5);
+                return;
+            }
+            cluster.children.forEach(place);
+            const [left, right] = cluster.children;
+            cluster.x = (left.x + right.x) / 2;
+            chartCtx.strokeStyle = cluster.order < keptMerges ? colorOf(cluster.leaves[0]) : neutral;
+            chartCtx.beginPath();
+            chartCtx.moveTo(left.x, toY(left.height));
+            chartCtx.lineTo(left.x, toY(cluster.height));
+            chartCtx.lineTo(right.x, toY(cluster.height));
+            chartCtx.lineTo(right.x, toY(right.height));
+            chartCtx.stroke();
+        };
+        roots.forEach(place);
+
+        chartCtx.font = 'bold 12px Arial';
+        chartCtx.textAlign = 'center';
+        chartCtx.textBaseline = 'top';
+        leafOrder.forEach((id, i) => {
+            chartCtx.fillStyle = colorOf(id);
+            chartCtx.fillText(graph.nodes.find(n => n.id === id)?.label || '?', pad.left + spacing * (i + 0.5), pad.top + height + 8);
+        });
+
+        chartCtx.fillStyle = isDarkMode ? '#ffffff' : '#1e1e2f';
+        chartCtx.font = '11px Arial';
+        chartCtx.textAlign = 'right';
+        chartCtx.textBaseline = 'middle';
+        [0, 0.5, 1].forEach(f => chartCtx.fillText(Math.round(maxHeight * f), pad.left - 8, toY(maxHeight * f)));
+
+        if (clustering.k > clustering.minK) {
+            const below = keptMerges > 0 ? clustering.merges[keptMerges - 1].weight : 0;
+            const above = clustering.merges[keptMerges].weight;
+            const cutY = toY((below + above) / 2);
+            chartCtx.strokeStyle = '#E91E63';
+            chartCtx.lineWidth = 1.5;
+            chartCtx.setLineDash([6, 4]);
+            chartCtx.beginPath();
+            chartCtx.moveTo(pad.left, cutY);
+            chartCtx.lineTo(pad.left + width, cutY);
+            chartCtx.stroke();
+            chartCtx.setLineDash([]);
+        }
+    }
+
+    // SPANNING TREE COUNTING
+    function countSpanningTrees(nodeIds) {
+        if (nodeIds.length <= 1) return 1n;
+        const index = new Map(nodeIds.map((id, i) => [id, i]));
+        const laplacian = nodeIds.map(() => nodeIds.map(() => 0n));
+        graph.edges.forEach(edge => {
+            const a = index.get(edge.from);
+            const b = index.get(edge.to);
+            if (a === undefined || b === undefined || a === b) return;
+            laplacian[a][a]++;
+            laplacian[b][b]++;
+            laplacian[a][b]--;
+            laplacian[b][a]--;
+        });
+
+        const matrix = laplacian.slice(1).map(row => row.slice(1));
+        const size = matrix.length;
+        let previousPivot = 1n;
+        let sign = 1n;
+        for (let k = 0; k < size; k++) {
+            if (matrix[k][k] === 0n) {
+                const swapRow = matrix.findIndex((row, i) => i > k && row[k] !== 0n);
+                if (swapRow === -1) return 0n;
+                [matrix[k], matrix[swapRow]] = [matrix[swapRow], matrix[k]];
+                sign = -sign;
+            }
+            for (let i = k + 1; i < size; i++) {
+                for (let j = k + 1; j < size; j++) {
+                    matrix[i][j] = (matrix[i][j] * matrix[k][k] - matrix[i][k] * matrix[k][j]) / previousPivot;
+                }
+            }
+            previousPivot = matrix[k][k];
+        }
+        return sign * matrix[size - 1][size - 1];
+    }
+
+    function getSpanningTreeCount() {
+        const signature = `${graph.nodes.map(n => n.id).join(',')}|${graph.edges.map(e => `${e.from}-${e.to}`).join(',')}`;
+        if (treeCount.signature !== signature) {
+            const components = findConnectedComponents(graph);
+            treeCount = { signature, components, counts: components.map(countSpanningTrees) };
+        }
+        return treeCount;
+    }
+
+    function sampleUniformSpanningTree() {
+        const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+        graph.edges.forEach(edge => {
+            adjacency.get(edge.from)?.push(edge);
+            adjacency.get(edge.to)?.push(edge);
+        });
+        const inTree = new Set();
+        const treeEdges = [];
+        findConnectedComponents(graph).forEach(component => {
+            inTree.add(component[Math.floor(Math.random() * component.length)]);
+            component.forEach(start => {
+                const next = new Map();
+                for (let current = start; !inTree.has(current); current = next.get(current).neighbor) {
+                    const options = adjacency.get(current);
+                    const edge = options[Math.floor(Math.random() * options.length)];
+                    next.set(current, { edge, neighbor: edge.from === current ? edge.to : edge.from });
+                }
+                for (let current = start; !inTree.has(current); current = next.get(current).neighbor) {
+                    inTree.add(current);
+                    treeEdges.push(next.get(current).edge);
+                }
+            });
+        });
+        return treeEdges;
+    }
 
-            const centerDistance = Math.abs(pos.t - 0.5);
-            score += centerDistance * 5;
+    function sampleRandomTree() {
+        if (graph.nodes.length < 2 || graph.edges.length === 0) {
+            showToast("Create a graph with at least two connected nodes first.", "warning");
+            return;
+        }
+        if (graph.directed) {
+            showToast("Spanning tree sampling works on undirected graphs. Turn off directed mode first.", "warning");
+            return;
+        }
+        state.sampledTree = sampleUniformSpanningTree();
+        drawGraph();
+    }
 
-            score += Math.abs(pos.offset) * 0.1;
-            
-            if (score < bestPosition.score) {
-                bestPosition = { x: pos.x, y: pos.y, score };
-            }
+    function clearSampledTree() {
+        state.sampledTree = [];
+        drawGraph();
+    }
+
+    function updateTreeCountInfo() {
+        const info = dom.getElementById('treeCountInfo');
+        if (graph.directed || graph.nodes.length === 0) {
+            info.innerHTML = graph.directed ? 'Spanning tree counting works on undirected graphs.' : 'Add nodes to count spanning trees.';
+            return;
         }
-        
-        return { x: bestPosition.x, y: bestPosition.y };
+
+        const { components, counts } = getSpanningTreeCount();
+        const forestCount = counts.reduce((product, count) => product * count, 1n);
+        let html = components.length === 1
+            ? `This graph has <strong>${forestCount.toLocaleString()}</strong> spanning tree${forestCount === 1n ? '' : 's'}.`
+            : `The graph has ${components.length} components, so it has no spanning tree. It has <strong>${forestCount.toLocaleString()}</strong> spanning forest${forestCount === 1n ? '' : 's'} with one tree per component.`;
+        html += `<br><em>Matrix-tree theorem: the count equals any cofactor of the Laplacian L = D − A, computed here with exact integer elimination.</em>`;
+
+        const minimumCount = state.alternativeTrees.length;
+        if (state.isComplete && minimumCount > 0 && getObjective() !== 'maximum') {
+            const share = (minimumCount / Number(forestCount)) * 100;
+            html += `<br>${minimumCount}${state.alternativeTreesCapped ? '+' : ''} of them ${minimumCount === 1 && !state.alternativeTreesCapped ? 'is' : 'are'} minimum (${share < 0.01 ? share.toExponential(1) : share.toPrecision(3)}%).`;
+        }
+
+        const sample = state.sampledTree;
+        if (sample.length > 0) {
+            const sampleWeight = sample.reduce((sum, e) => sum + e.weight, 0);
+            const minimumWeight = components
+                .map(component => growTreeFrom(component[0], (distance, edge) => edge.weight).reduce((sum, e) => sum + e.weight, 0))
+                .reduce((sum, weight) => sum + weight, 0);
+            const excess = sampleWeight - minimumWeight;
+            html += `<br><strong>Random sample</strong> (orange) weighs ${sampleWeight}. ${excess === 0
+                ? 'It happens to be a minimum spanning tree.'
+                : `The minimum weighs ${minimumWeight}, so the sample is ${excess} (${Math.round((excess / minimumWeight) * 100)}%) heavier.`} Wilson's algorithm ignores weights, so every spanning tree is equally likely.`;
+        }
+        info.innerHTML = html;
     }
 
-    function drawGraph() {
-        if (!ctx) return;
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+    function renderGraph(targetCtx, targetCanvas, view) {
+        targetCtx.clearRect(0, 0, targetCanvas.width, targetCanvas.height);
         
-        const isDarkMode = document.body.classList.contains('dark-mode');
+        const isDarkMode = themeHost.classList.contains('dark-mode');
 
         const labelPositions = new Map();
         graph.edges.forEach(edge => {
@@ -776,32 +2256,130 @@ document.addEventListener('DOMContentLoaded', () => {
             labelPositions.set(edge, position);
         });
 
+        if (view.cut) {
+            view.cut.crossing.forEach(edge => {
+                const fromNode = graph.nodes.find(n => n.id === edge.from);
+                const toNode = graph.nodes.find(n => n.id === edge.to);
+                const { x1, y1, x2, y2 } = getEdgeEndpoints(edge, fromNode, toNode);
+                const isLightest = view.cut.lightest.includes(edge);
+                targetCtx.beginPath();
+                targetCtx.moveTo(x1, y1);
+                targetCtx.lineTo(x2, y2);
+                targetCtx.setLineDash([]);
+                targetCtx.strokeStyle = isLightest ? 'rgba(255, 235, 59, 0.7)' : 'rgba(0, 188, 212, 0.35)';
+                targetCtx.lineWidth = isLightest ? 16 : 12;
+                targetCtx.stroke();
+            });
+        }
+
+        if (view.spt) {
+            [...new Set([...view.spt.sptEdges, ...view.spt.mstEdges])].forEach(edge => {
+                const fromNode = graph.nodes.find(n => n.id === edge.from);
+                const toNode = graph.nodes.find(n => n.id === edge.to);
+                const { x1, y1, x2, y2 } = getEdgeEndpoints(edge, fromNode, toNode);
+                const inSpt = view.spt.sptEdges.includes(edge);
+                const inMst = view.spt.mstEdges.includes(edge);
+                targetCtx.beginPath();
+                targetCtx.moveTo(x1, y1);
+                targetCtx.lineTo(x2, y2);
+                targetCtx.setLineDash(inSpt && !inMst ? [14, 6] : []);
+                targetCtx.strokeStyle = inSpt && inMst ? 'rgba(0, 191, 165, 0.55)' : (inSpt ? 'rgba(68, 138, 255, 0.6)' : 'rgba(139, 195, 74, 0.55)');
+                targetCtx.lineWidth = 14;
+                targetCtx.stroke();
+                targetCtx.setLineDash([]);
+            });
+        }
+
+        view.sampledTree.filter(edge => graph.edges.includes(edge)).forEach(edge => {
+            const fromNode = graph.nodes.find(n => n.id === edge.from);
+            const toNode = graph.nodes.find(n => n.id === edge.to);
+            const { x1, y1, x2, y2 } = getEdgeEndpoints(edge, fromNode, toNode);
+            targetCtx.beginPath();
+            targetCtx.moveTo(x1, y1);
+            targetCtx.lineTo(x2, y2);
+            targetCtx.setLineDash([]);
+            targetCtx.strokeStyle = 'rgba(255, 87, 34, 0.5)';
+            targetCtx.lineWidth = 12;
+            targetCtx.stroke();
+        });
+
         graph.edges.forEach(edge => {
             const fromNode = graph.nodes.find(n => n.id === edge.from);
             const toNode = graph.nodes.find(n => n.id === edge.to);
             if (!fromNode || !toNode) return;
     
-            const isInvalid = state.invalidEdges.some(e => (e.from === edge.from && e.to === edge.to) || (e.from === edge.to && e.to === edge.from));
-            const isConsidering = state.consideringEdge && ((state.consideringEdge.from === edge.from && state.consideringEdge.to === edge.to) || (state.consideringEdge.from === edge.to && state.consideringEdge.to === edge.from));
-            const isHoveredForDelete = state.isDeletingEdge && state.hoveredEdge && 
-                ((state.hoveredEdge.from === edge.from && state.hoveredEdge.to === edge.to) ||
-                 (state.hoveredEdge.from === edge.to && state.hoveredEdge.to === edge.from));
-            const isHovered = state.hoveredEdge && 
-                ((state.hoveredEdge.from === edge.from && state.hoveredEdge.to === edge.to) ||
-                 (state.hoveredEdge.from === edge.to && state.hoveredEdge.to === edge.from));
+            const isInvalid = view.invalidEdges.some(e => edgesMatch(graph, e, edge));
+            const isRemoved = view.removedEdges.some(e => edgesMatch(graph, e, edge));
+            const isCycle = view.cycleEdges.some(e => edgesMatch(graph, e, edge));
+            const isOnCyclePath = view.cyclePath.some(e => edgesMatch(graph, e, edge));
+            const isHintAdd = view.exercise && view.exercise.hint && view.exercise.hint.add === edge;
+            const isHintRemove = view.exercise && view.exercise.hint && view.exercise.hint.remove === edge;
+            const isSelectedForExercise = view.exercise && view.exercise.selected.includes(edge);
+            const isChosen = view.chosenEdges.some(e => edgesMatch(graph, e, edge));
+            const isConsidering = view.consideringEdge && edgesMatch(graph, view.consideringEdge, edge);
+            const isHoveredForDelete = view.isDeletingEdge && view.hoveredEdge && edgesMatch(graph, view.hoveredEdge, edge);
+            const isHovered = view.hoveredEdge && edgesMatch(graph, view.hoveredEdge, edge);
+            const isTied = view.isComplete && view.tiedEdges.some(e => edgesMatch(graph, e, edge));
+            const isBottleneck = view.isComplete && view.bottleneckEdge && edgesMatch(graph, view.bottleneckEdge, edge);
+            const isCutEdge = view.isComplete && view.cutEdges.some(e => edgesMatch(graph, e, edge));
+            const isClusterCut = view.clusters && view.clusters.removed.includes(edge);
+            const { x1, y1, x2, y2 } = getEdgeEndpoints(edge, fromNode, toNode);
     
-            ctx.beginPath();
-            ctx.moveTo(fromNode.x, fromNode.y);
-            ctx.lineTo(toNode.x, toNode.y);
+            targetCtx.beginPath();
+            targetCtx.moveTo(x1, y1);
+            targetCtx.lineTo(x2, y2);
     
             let strokeStyle, lineWidth, textColor, drawTextBackground;
+            let lineDash = [];
             
-            if (edge.isInMST) {
-                strokeStyle = '#4CAF50';
+            if (isHintAdd || isHintRemove) {
+                strokeStyle = isHintAdd ? '#4CAF50' : '#f44336';
+                lineWidth = 5;
+                lineDash = [10, 5];
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
+            } else if (isSelectedForExercise) {
+                strokeStyle = '#2196F3';
+                lineWidth = 5;
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
+            } else if (isOnCyclePath) {
+                strokeStyle = '#7C4DFF';
+                lineWidth = 5;
+                lineDash = [10, 5];
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
+            } else if (isClusterCut) {
+                strokeStyle = isDarkMode ? 'rgba(255, 255, 255, 0.5)' : 'rgba(30, 30, 47, 0.5)';
+                lineWidth = 3;
+                lineDash = [8, 6];
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
+            } else if (view.isInMST(edge) && isBottleneck) {
+                strokeStyle = '#E91E63';
+                lineWidth = 6;
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
+            } else if (view.isInMST(edge)) {
+                if (view.clusters) strokeStyle = getComponentColor(edge.from, view.clusters.components);
+                else strokeStyle = view.graphComponents.length > 1 ? getComponentColor(edge.from, view.graphComponents) : '#4CAF50';
                 lineWidth = 4;
+                if (isTied) lineDash = [12, 6];
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
+            } else if (isTied) {
+                strokeStyle = '#FFC107';
+                lineWidth = 3;
+                lineDash = [8, 6];
                 textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
                 drawTextBackground = true;
-            } else if (state.isComplete) {
+            } else if (isCutEdge) {
+                strokeStyle = 'rgba(233, 30, 99, 0.6)';
+                lineWidth = 2;
+                lineDash = [4, 4];
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
+            } else if (view.isComplete) {
                 strokeStyle = isDarkMode ? 'rgba(156, 39, 176, 0.15)' : 'rgba(106, 27, 154, 0.15)';
                 lineWidth = 1;
                 textColor = isDarkMode ? 'rgba(255, 255, 255, 0.25)' : 'rgba(30, 30, 47, 0.25)';
@@ -811,11 +2389,27 @@ document.addEventListener('DOMContentLoaded', () => {
                 lineWidth = 6;
                 textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
                 drawTextBackground = true;
+            } else if (isRemoved) {
+                strokeStyle = isDarkMode ? 'rgba(255, 255, 255, 0.25)' : 'rgba(30, 30, 47, 0.25)';
+                lineWidth = 1;
+                lineDash = [6, 6];
+                textColor = isDarkMode ? 'rgba(255, 255, 255, 0.4)' : 'rgba(30, 30, 47, 0.4)';
+                drawTextBackground = false;
+            } else if (isCycle) {
+                strokeStyle = '#f44336';
+                lineWidth = 5;
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
             } else if (isConsidering) {
                 strokeStyle = '#FF9800';
                 lineWidth = 4;
                 textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
                 drawTextBackground = true;
+            } else if (isChosen) {
+                strokeStyle = '#FFC107';
+                lineWidth = 3;
+                textColor = isDarkMode ? '#ffffff' : '#1e1e2f';
+                drawTextBackground = true;
             } else if (isHoveredForDelete) {
                 strokeStyle = '#f44336';
                 lineWidth = 6;
@@ -833,108 +2427,215 @@ document.addEventListener('DOMContentLoaded', () => {
                 drawTextBackground = true;
             }
             
-            ctx.strokeStyle = strokeStyle;
-            ctx.lineWidth = lineWidth;
-            ctx.stroke();
+            targetCtx.strokeStyle = strokeStyle;
+            targetCtx.lineWidth = lineWidth;
+            targetCtx.setLineDash(lineDash);
+            targetCtx.stroke();
+            targetCtx.setLineDash([]);
+
+            if (graph.directed) {
+                const angle = Math.atan2(y2 - y1, x2 - x1);
+                const tipX = x2 - Math.cos(angle) * 21;
+                const tipY = y2 - Math.sin(angle) * 21;
+                const size = 8 + lineWidth;
+                targetCtx.beginPath();
+                targetCtx.moveTo(tipX, tipY);
+                targetCtx.lineTo(tipX - size * Math.cos(angle - Math.PI / 7), tipY - size * Math.sin(angle - Math.PI / 7));
+                targetCtx.lineTo(tipX - size * Math.cos(angle + Math.PI / 7), tipY - size * Math.sin(angle + Math.PI / 7));
+                targetCtx.closePath();
+                targetCtx.fillStyle = strokeStyle;
+                targetCtx.fill();
+            }
             
             const labelPos = labelPositions.get(edge);
             const labelX = labelPos?.x || (fromNode.x + toNode.x) / 2;
             const labelY = labelPos?.y || (fromNode.y + toNode.y) / 2;
             
             if (drawTextBackground) {
-                ctx.fillStyle = isDarkMode ? 'rgba(30, 30, 30, 0.95)' : 'rgba(255, 255, 255, 0.95)';
-                ctx.fillRect(labelX - 18, labelY - 12, 36, 24);
-                ctx.strokeStyle = isDarkMode ? 'rgba(255, 255, 255, 0.3)' : 'rgba(0, 0, 0, 0.2)';
-                ctx.lineWidth = 1;
-                ctx.strokeRect(labelX - 18, labelY - 12, 36, 24);
+                targetCtx.fillStyle = isDarkMode ? 'rgba(30, 30, 30, 0.95)' : 'rgba(255, 255, 255, 0.95)';
+                targetCtx.fillRect(labelX - 18, labelY - 12, 36, 24);
+                targetCtx.strokeStyle = isDarkMode ? 'rgba(255, 255, 255, 0.3)' : 'rgba(0, 0, 0, 0.2)';
+                targetCtx.lineWidth = 1;
+                targetCtx.strokeRect(labelX - 18, labelY - 12, 36, 24);
             }
             
-            ctx.fillStyle = textColor;
-            ctx.textAlign = 'center';
-            ctx.textBaseline = 'middle';
-            ctx.font = 'bold 14px Arial';
-            ctx.fillText(edge.weight, labelX, labelY);
+            targetCtx.fillStyle = textColor;
+            targetCtx.textAlign = 'center';
+            targetCtx.textBaseline = 'middle';
+            targetCtx.font = 'bold 14px Arial';
+            targetCtx.fillText(edge.weight, labelX, labelY);
+
+            const range = view.sensitivity && view.sensitivity.get(edge);
+            if (range) {
+                targetCtx.font = 'bold 11px Arial';
+                targetCtx.fillStyle = range.inTree ? '#4CAF50' : (isDarkMode ? '#FFC107' : '#B8860B');
+                targetCtx.fillText(formatSensitivityRange(range), labelX, labelY + 20);
+            }
         });
         
         graph.nodes.forEach(node => {
-            const isSelectedForEdge = state.firstNodeForEdge && (
-                state.firstNodeForEdge.id === node.id
+            const isSelectedForEdge = view.firstNodeForEdge && (
+                view.firstNodeForEdge.id === node.id
             );
-            const isSecondNodeHighlighted = state.pendingEdge && (
-                state.pendingEdge.node1.id === node.id || state.pendingEdge.node2.id === node.id
+            const isSecondNodeHighlighted = view.pendingEdge && (
+                view.pendingEdge.node1.id === node.id || view.pendingEdge.node2.id === node.id
             );
-            const isHoveredForDelete = state.isDeletingNode && state.hoveredNode && state.hoveredNode.id === node.id;
+            const isHoveredForDelete = view.isDeletingNode && view.hoveredNode && view.hoveredNode.id === node.id;
+
+            if (view.cut && view.cut.side.has(node.id)) {
+                targetCtx.beginPath();
+                targetCtx.arc(node.x, node.y, 26, 0, Math.PI * 2);
+                targetCtx.strokeStyle = '#00BCD4';
+                targetCtx.lineWidth = 3;
+                targetCtx.setLineDash([6, 4]);
+                targetCtx.stroke();
+                targetCtx.setLineDash([]);
+            }
+
+            view.superNodes.forEach((members, level) => {
+                if (!members.includes(node.id)) return;
+                targetCtx.beginPath();
+                targetCtx.arc(node.x, node.y, 25 + level * 5, 0, Math.PI * 2);
+                targetCtx.strokeStyle = COMPONENT_COLORS[level % COMPONENT_COLORS.length];
+                targetCtx.lineWidth = 3;
+                targetCtx.setLineDash([4, 3]);
+                targetCtx.stroke();
+                targetCtx.setLineDash([]);
+            });
 
-            ctx.beginPath();
-            ctx.arc(node.x, node.y, 20, 0, Math.PI * 2);
-            ctx.fillStyle = state.visitedNodes.has(node.id) ? '#4CAF50' : '#FF5722';
-            ctx.fill();
+            targetCtx.beginPath();
+            if (node.isTerminal) targetCtx.rect(node.x - 19, node.y - 19, 38, 38);
+            else targetCtx.arc(node.x, node.y, 20, 0, Math.PI * 2);
+            if (view.clusters) targetCtx.fillStyle = getComponentColor(node.id, view.clusters.components);
+            else targetCtx.fillStyle = view.visitedNodes.has(node.id) ? '#4CAF50' : '#FF5722';
+            targetCtx.fill();
 
             if (isHoveredForDelete) {
-                ctx.strokeStyle = 'rgba(244, 67, 54, 0.8)'; 
-                ctx.lineWidth = 4;
+                targetCtx.strokeStyle = 'rgba(244, 67, 54, 0.8)'; 
+                targetCtx.lineWidth = 4;
             } else if (isSelectedForEdge || isSecondNodeHighlighted) {
-                ctx.strokeStyle = '#00f2fe'; 
-                ctx.lineWidth = 4;
+                targetCtx.strokeStyle = '#00f2fe'; 
+                targetCtx.lineWidth = 4;
             } else {
-                ctx.strokeStyle = isDarkMode ? '#ffffff' : '#ffffff';
-                ctx.lineWidth = 2;
+                targetCtx.strokeStyle = isDarkMode ? '#ffffff' : '#ffffff';
+                targetCtx.lineWidth = 2;
             }
-            ctx.stroke();
+            targetCtx.stroke();
 
-            ctx.fillStyle = 'white';
-            ctx.font = 'bold 16px Arial';
-            ctx.fillText(node.label, node.x, node.y);
+            targetCtx.fillStyle = 'white';
+            targetCtx.font = 'bold 16px Arial';
+            targetCtx.fillText(node.label, node.x, node.y);
         });
-        
-        updateDataStructuresUI();
-        updateStatsUI();
+
+        if (view.lassoPoints && view.lassoPoints.length > 1) {
+            targetCtx.beginPath();
+            view.lassoPoints.forEach(({ x, y }, i) => (i === 0 ? targetCtx.moveTo(x, y) : targetCtx.lineTo(x, y)));
+            targetCtx.closePath();
+            targetCtx.strokeStyle = '#00BCD4';
+            targetCtx.lineWidth = 2;
+            targetCtx.setLineDash([6, 4]);
+            targetCtx.stroke();
+            targetCtx.setLineDash([]);
+        }
     }
     
     function initializeEventListeners() {
-        document.querySelectorAll('.algorithm-btn').forEach(btn => btn.addEventListener('click', (e) => {
-            if (state.algorithmLocked) return;
-            document.querySelectorAll('.algorithm-btn').forEach(b => b.classList.remove('active'));
-            e.currentTarget.classList.add('active');
+        dom.getElementById('primVariantSelect').addEventListener('change', () => {
             updateAlgorithmUI();
             resetAnimationState(false);
-        }));
+        });
+        dom.getElementById('showHeapSwaps').addEventListener('change', () => resetAnimationState(false));
+        dom.getElementById('unionStrategySelect').addEventListener('change', () => resetAnimationState(false));
+        dom.getElementById('pathCompression').addEventListener('change', () => resetAnimationState(false));
+        dom.getElementById('spanningForestMode').addEventListener('change', () => resetAnimationState(false));
+        dom.getElementById('rootNodeSelect').addEventListener('change', () => resetAnimationState(false));
+        dom.getElementById('tieBreakSelect').addEventListener('change', () => resetAnimationState(false));
+        dom.getElementById('objectiveSelect').addEventListener('change', () => {
+            updateAlgorithmUI();
+            resetAnimationState(false);
+        });
+        dom.getElementById('mstPrev').addEventListener('click', () => showAlternativeTree(state.alternativeIndex - 1));
+        dom.getElementById('mstNext').addEventListener('click', () => showAlternativeTree(state.alternativeIndex + 1));
+        dom.getElementById('markTerminalsBtn').addEventListener('click', toggleTerminalMarking);
+        dom.getElementById('clearTerminalsBtn').addEventListener('click', clearTerminals);
+        dom.getElementById('exploreCutBtn').addEventListener('click', toggleCutExplorer);
+        dom.getElementById('clearCutBtn').addEventListener('click', clearCut);
+        dom.getElementById('showPrimCut').addEventListener('change', drawGraph);
+        dom.getElementById('sensitivityOverlay').addEventListener('change', drawGraph);
+        dom.getElementById('showSptOverlay').addEventListener('change', drawGraph);
+        dom.getElementById('clusterK').addEventListener('input', drawGraph);
+        dom.getElementById('sampleTreeBtn').addEventListener('click', sampleRandomTree);
+        dom.getElementById('clearSampleBtn').addEventListener('click', clearSampledTree);
+        dom.getElementById('exportTraceBtn').addEventListener('click', exportTrace);
+        dom.getElementById('importTraceBtn').addEventListener('click', () => dom.getElementById('traceFileInput').click());
+        dom.getElementById('traceFileInput').addEventListener('change', e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) file.text().then(importTrace);
+        });
+        dom.getElementById('startNodeSelect').addEventListener('change', drawGraph);
+        dom.getElementById('quizAccept').addEventListener('click', () => answerQuiz('accept'));
+        dom.getElementById('quizDiscard').addEventListener('click', () => answerQuiz('discard'));
+        dom.getElementById('exerciseBtn').addEventListener('click', toggleExercise);
+        dom.getElementById('submitExerciseBtn').addEventListener('click', submitExercise);
+        dom.getElementById('directedMode').addEventListener('change', e => {
+            graph.directed = e.target.checked;
+            if (state.mode === 'generative') generateGraph();
+            else resetAnimationState(false);
+        });
 
-        document.getElementById('nodeCount').addEventListener('input', e => {
-            document.getElementById('nodeCountValue').textContent = e.target.value;
+        dom.getElementById('nodeCount').addEventListener('input', e => {
+            dom.getElementById('nodeCountValue').textContent = e.target.value;
             updateEdgeDensityForGraphType();
         });
-        document.getElementById('edgeDensity').addEventListener('input', e => document.getElementById('edgeDensityValue').textContent = e.target.value + '%');
+        dom.getElementById('edgeDensity').addEventListener('input', e => dom.getElementById('edgeDensityValue').textContent = e.target.value + '%');
         
-        document.getElementById('animationSpeed').addEventListener('input', e => {
+        dom.getElementById('animationSpeed').addEventListener('input', e => {
             const speedLabels = ['Slowest', 'Slower', 'Slow', 'Normal-', 'Normal', 'Normal+', 'Fast', 'Faster', 'Fastest', 'Max'];
-            document.getElementById('animationSpeedValue').textContent = speedLabels[e.target.value - 1];
+            dom.getElementById('animationSpeedValue').textContent = speedLabels[e.target.value - 1];
             state.speed = parseInt(e.target.value);
             if (state.isRunning && state.intervalId) {
                 clearInterval(state.intervalId);
                 state.intervalId = setInterval(animateStep, getAnimationDelay());
             }
+            if (comparison.intervalId) {
+                clearInterval(comparison.intervalId);
+                comparison.intervalId = setInterval(advanceComparison, getAnimationDelay());
+            }
         });
 
-        document.getElementById('undoBtn').addEventListener('click', undo);
-        document.getElementById('redoBtn').addEventListener('click', redo);
-
-        document.getElementById('generateGraph').addEventListener('click', generateGraph);
-        document.getElementById('deleteNodeBtn').addEventListener('click', toggleDeleteMode);
-        document.getElementById('deleteEdgeBtn').addEventListener('click', toggleDeleteEdgeMode);
-        document.getElementById('editWeightBtn').addEventListener('click', toggleEditMode);
-        document.getElementById('visualize').addEventListener('click', startVisualization);
-        document.getElementById('reset').addEventListener('click', () => {
+        dom.getElementById('undoBtn').addEventListener('click', undo);
+        dom.getElementById('redoBtn').addEventListener('click', redo);
+
+        dom.getElementById('generateGraph').addEventListener('click', generateGraph);
+        dom.getElementById('deleteNodeBtn').addEventListener('click', toggleDeleteMode);
+        dom.getElementById('deleteEdgeBtn').addEventListener('click', toggleDeleteEdgeMode);
+        dom.getElementById('editWeightBtn').addEventListener('click', toggleEditMode);
+        dom.getElementById('visualize').addEventListener('click', startVisualization);
+        dom.getElementById('compareBtn').addEventListener('click', startComparison);
+        dom.getElementById('exitComparison').addEventListener('click', exitComparison);
+        dom.getElementById('benchmarkBtn').addEventListener('click', runBenchmark);
+        dom.getElementById('closeBenchmark').addEventListener('click', () => dom.getElementById('benchmarkView').classList.add('hidden'));
+        dom.getElementById('benchmarkMetricSelect').addEventListener('change', () => drawBenchmarkChart(benchmarkResults));
+        dom.getElementById('comparePauseResume').addEventListener('click', toggleComparisonPlayback);
+        dom.getElementById('compareStepForward').addEventListener('click', () => stepComparison(1));
+        dom.getElementById('compareStepBackward').addEventListener('click', () => stepComparison(-1));
+        dom.getElementById('compareReset').addEventListener('click', () => stepComparison(-comparison.position));
+        dom.getElementById('comparisonAlignSelect').addEventListener('change', e => {
+            comparison.align = e.target.value;
+            stepComparison(-comparison.position);
+        });
+        dom.getElementById('reset').addEventListener('click', () => {
             resetAnimationState(false); 
         });
 
-        document.getElementById('clearGraphBtn').addEventListener('click', clearGraph);
+        dom.getElementById('clearGraphBtn').addEventListener('click', clearGraph);
 
-        document.getElementById('stepForward').addEventListener('click', stepForward);
-        document.getElementById('stepBackward').addEventListener('click', stepBackward);
-        document.getElementById('pauseResume').addEventListener('click', togglePauseResume);
+        dom.getElementById('stepForward').addEventListener('click', stepForward);
+        dom.getElementById('stepBackward').addEventListener('click', stepBackward);
+        dom.getElementById('pauseResume').addEventListener('click', togglePauseResume);
 
-        document.getElementById('graphTypeSelect').addEventListener('change', () => {
+        dom.getElementById('graphTypeSelect').addEventListener('change', () => {
             updateEdgeDensityForGraphType();
             generateGraph();
         });
@@ -943,6 +2644,7 @@ document.addEventListener('DOMContentLoaded', () => {
         canvas.addEventListener('mousemove', handleMouseMove);
         canvas.addEventListener('mouseup', handleMouseUp);
         canvas.addEventListener('mouseleave', () => {
+            if (state.lassoPoints) finishLasso();
             state.draggingNode = null;
             state.potentialDragNode = null;
             if (state.hoveredNode) {
@@ -968,7 +2670,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const toNode = graph.nodes.find(n => n.id === edge.to);
                 
                 if (fromNode && toNode) {
-                    showFixedEdgeInfo(fromNode.label, toNode.label, edge.weight);
+                    showFixedEdgeInfo(fromNode.label, toNode.label, edge.weight, state.isComplete ? state.sensitivity.get(edge) : null);
                     state.tooltipEdge = edge;
 
                     if (state.hoveredEdge !== edge) {
@@ -986,17 +2688,26 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         });
 
-        document.getElementById('modal-confirm-btn').addEventListener('click', () => {
+        dom.getElementById('modal-confirm-btn').addEventListener('click', () => {
             if (state.nodeToDelete) {
                 deleteNodeById(state.nodeToDelete.id, state.nodeToDelete.label);
             }
             hideDeleteModal();
         });
-        document.getElementById('modal-cancel-btn').addEventListener('click', hideDeleteModal);
+        dom.getElementById('modal-cancel-btn').addEventListener('click', hideDeleteModal);
     }
 
-    function showFixedEdgeInfo(fromLabel, toLabel, weight) {
-        fixedEdgeInfo.innerHTML = `<strong>Edge:</strong> ${fromLabel}-${toLabel}<br><strong>Weight:</strong> ${weight}`;
+    function showFixedEdgeInfo(fromLabel, toLabel, weight, sensitivity) {
+        fixedEdgeInfo.innerHTML = `<strong>Edge:</strong> ${fromLabel}${graph.directed ? '→' : '-'}${toLabel}<br><strong>Weight:</strong> ${weight}`;
+        if (sensitivity) {
+            const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+            const witness = sensitivity.witness ? `${labelOf(sensitivity.witness.from)}-${labelOf(sensitivity.witness.to)}` : null;
+            const beyond = sensitivity.high === Infinity ? 'below' : 'above';
+            const reason = sensitivity.inTree
+                ? (witness ? `${beyond} that, ${witness} replaces it` : 'no other edge crosses its cut')
+                : `${beyond} that, it replaces ${witness}`;
+            fixedEdgeInfo.innerHTML += `<br><strong>Tree stays optimal for:</strong> w ${formatSensitivityRange(sensitivity)}<br><em>${reason}</em>`;
+        }
         fixedEdgeInfo.classList.remove('hidden');
     }
 
@@ -1004,27 +2715,32 @@ document.addEventListener('DOMContentLoaded', () => {
         fixedEdgeInfo.classList.add('hidden');
     }
 
-    function renderPseudocode(algorithm) {
-        const container = document.getElementById('pseudocode-display');
+    function renderPseudocode(algorithm, container = dom.getElementById('pseudocode-display')) {
         container.innerHTML = '';
-        const pseudocode = algorithm === 'prim' ? PRIM_PSEUDOCODE : KRUSKAL_PSEUDOCODE;
+        const registered = algorithmRegistry.get(algorithm);
+        const pseudocode = registered
+            ? (typeof registered.pseudocode === 'function' ? registered.pseudocode() : registered.pseudocode)
+            : DYNAMIC_UPDATE_PSEUDOCODE;
+        const maximize = !!registered?.objectives && getObjective() === 'maximum';
 
         pseudocode.forEach((item, index) => {
             const line = document.createElement('div');
             line.className = 'pseudo-line';
-            line.id = `pseudo-line-${index}`;
-            line.textContent = item.line;
+            line.dataset.line = index;
+            line.textContent = maximize
+                ? MAXIMUM_PSEUDOCODE_REPLACEMENTS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), item.line)
+                : item.line;
             line.style.paddingLeft = `${item.indent * 15}px`;
             container.appendChild(line);
         });
     }
     
-    function highlightPseudoLine(lineIndex) {
-        document.querySelectorAll('.pseudo-line').forEach(line => {
+    function highlightPseudoLine(lineIndex, container = dom.getElementById('pseudocode-display')) {
+        container.querySelectorAll('.pseudo-line').forEach(line => {
             line.classList.remove('highlight');
         });
         if (lineIndex !== null && lineIndex >= 0) {
-            const lineToHighlight = document.getElementById(`pseudo-line-${lineIndex}`);
+            const lineToHighlight = container.querySelector(`.pseudo-line[data-line="${lineIndex}"]`);
             if (lineToHighlight) {
                 lineToHighlight.classList.add('highlight');
             }
@@ -1032,88 +2748,218 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function updateAlgorithmUI() {
-        const selectedAlgo = document.querySelector('.algorithm-btn.active').dataset.algo;
-        const primInfo = document.getElementById('primInfoSection');
-        const kruskalInfo = document.getElementById('kruskalInfoSection');
-
-        primInfo.style.display = selectedAlgo === 'prim' ? 'block' : 'none';
-        kruskalInfo.style.display = selectedAlgo === 'kruskal' ? 'block' : 'none';
+        const selected = getSelectedAlgorithm();
+        algorithmRegistry.forEach(algorithm => {
+            const infoSection = dom.getElementById(`${algorithm.id}InfoSection`);
+            if (infoSection) infoSection.style.display = algorithm === selected ? 'block' : 'none';
+            if (algorithm.optionsPanel) dom.getElementById(algorithm.optionsPanel).style.display = algorithm.optionsPanel === selected.optionsPanel ? 'flex' : 'none';
+        });
 
-        document.getElementById('dsTitle').textContent = selectedAlgo === 'prim' ? 'Priority Queue' : 'Disjoint Sets';
-        document.getElementById('visitedTitle').textContent = selectedAlgo === 'prim' ? 'Visited Nodes' : 'Sorted Edges';
-        document.getElementById('primOptions').style.display = selectedAlgo === 'prim' ? 'flex' : 'none';
+        dom.getElementById('dsTitle').textContent = selected.dsTitle;
+        dom.getElementById('visitedTitle').textContent = selected.visitedTitle;
+        dom.getElementById('objectiveOptions').style.display = selected.objectives ? 'flex' : 'none';
+        dom.getElementById('mstWeightLabel').textContent = getObjective() === 'maximum' ? 'MaxST Weight' : 'MST Weight';
+        if (!selected.terminals && state.isMarkingTerminals) toggleTerminalMarking();
 
-        renderPseudocode(selectedAlgo);
+        renderPseudocode(selected.id);
         if (state.mode === 'generative') {
             updateEdgeDensityForGraphType();
         }
     }
     
     function updateUIAfterGraphChange() {
-        const startNodeSelect = document.getElementById('startNodeSelect');
-        const selectedValue = startNodeSelect.value;
-        startNodeSelect.innerHTML = '';
-        graph.nodes.sort((a,b) => a.id - b.id).forEach(node => {
-            const option = document.createElement('option');
-            option.value = node.id;
-            option.textContent = `Node ${node.label}`;
-            startNodeSelect.appendChild(option);
+        graph.nodes.sort((a,b) => a.id - b.id);
+        state.sampledTree = [];
+        ['startNodeSelect', 'rootNodeSelect'].forEach(id => {
+            const nodeSelect = dom.getElementById(id);
+            const selectedValue = nodeSelect.value;
+            nodeSelect.innerHTML = '';
+            graph.nodes.forEach(node => {
+                const option = document.createElement('option');
+                option.value = node.id;
+                option.textContent = `Node ${node.label}`;
+                nodeSelect.appendChild(option);
+            });
+            if (selectedValue) {
+                    nodeSelect.value = selectedValue;
+            }
         });
-        if (selectedValue) {
-                startNodeSelect.value = selectedValue;
-        }
         updateAnimationControls();
         drawGraph();
     }
 
     function updateStatsUI() {
-        document.getElementById('totalNodes').textContent = graph.nodes.length;
-        document.getElementById('totalEdges').textContent = graph.edges.length;
-        document.getElementById('mstWeight').textContent = graph.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        dom.getElementById('totalNodes').textContent = graph.nodes.length;
+        dom.getElementById('totalEdges').textContent = graph.edges.length;
+        dom.getElementById('mstWeight').textContent = graph.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        const treeCount = state.alternativeTrees.length;
+        dom.getElementById('mstCount').textContent = state.isComplete && treeCount > 0
+            ? `${treeCount}${state.alternativeTreesCapped ? '+' : ''}`
+            : '-';
+        renderOperationCounters();
+    }
+
+    function renderOperationCounters() {
+        const counterKeys = getSelectedAlgorithm().counters;
+        const panel = dom.getElementById('opCountersPanel');
+        panel.classList.toggle('hidden', !counterKeys || !state.counters);
+        if (!counterKeys || !state.counters) return;
+        dom.getElementById('opCountersContent').innerHTML = counterKeys
+            .filter(([key]) => key !== 'decreaseKeys' || dom.getElementById('primVariantSelect').value === 'eager')
+            .map(([key, label]) => `<div class="counter-item"><span class="counter-value">${state.counters[key]}</span><span class="counter-label">${label}</span></div>`)
+            .join('');
     }
 
     function updateDataStructuresUI() {
-        const selectedAlgorithm = document.querySelector('.algorithm-btn.active').dataset.algo;
-        const pqContent = document.getElementById('priorityQueueContent');
-        const visitedContent = document.getElementById('visitedNodesContent');
-        const mstContent = document.getElementById('mstEdgesContent');
-        
+        renderDataStructures(getSelectedAlgorithm().id, { ...state, mstEdges: graph.mstEdges }, {
+            pqContent: dom.getElementById('priorityQueueContent'),
+            visitedContent: dom.getElementById('visitedNodesContent'),
+            mstContent: dom.getElementById('mstEdgesContent'),
+        });
+    }
+
+    function renderDataStructures(selectedAlgorithm, view, { pqContent, visitedContent, mstContent }) {
         pqContent.innerHTML = '';
         visitedContent.innerHTML = '';
         mstContent.innerHTML = '';
 
-        if (selectedAlgorithm === 'prim') {
-            if (state.priorityQueue.length === 0) pqContent.innerHTML = '<div class="queue-item">Empty</div>';
-            else state.priorityQueue.forEach(item => {
-                const fromLabel = graph.nodes.find(n => n.id === item.edge.from)?.label || '?';
-                const toLabel = graph.nodes.find(n => n.id === item.edge.to)?.label || '?';
-                pqContent.innerHTML += `<div class="queue-item">${fromLabel}-${toLabel} (${item.edge.weight})</div>`;
-            });
-            
-            Array.from(state.visitedNodes).sort((a,b) => a-b).forEach(nodeId => {
-                const nodeLabel = graph.nodes.find(n => n.id === nodeId)?.label || '?';
-                visitedContent.innerHTML += `<div class="ds-item">${nodeLabel}</div>`;
-            });
-        } else { 
-            if (state.disjointSets.length === 0) pqContent.innerHTML = '<div class="queue-item">Empty</div>';
-            else state.disjointSets.forEach((set, i) => {
-                const setLabels = set.map(id => graph.nodes.find(n => n.id === id)?.label || '?').join(', ');
-                pqContent.innerHTML += `<div class="ds-item component">Set ${i}: {${setLabels}}</div>`;
-            });
+        algorithmRegistry.get(selectedAlgorithm).renderPanels(view, { pqContent, visitedContent });
+
+        view.mstEdges.forEach(edge => {
+            const fromLabel = graph.nodes.find(n => n.id === edge.from)?.label || '?';
+            const toLabel = graph.nodes.find(n => n.id === edge.to)?.label || '?';
+            mstContent.innerHTML += `<div class="ds-item mst">${fromLabel}${graph.directed ? '→' : '-'}${toLabel} (${edge.weight})</div>`;
+        });
+    }
+
+    function renderPrimPanels(view, { pqContent, visitedContent }) {
+        if (view.priorityQueue.length === 0) pqContent.innerHTML = '<div class="queue-item">Empty</div>';
+        else {
+            let treeHtml = '';
+            for (let start = 0; start < view.priorityQueue.length; start = start * 2 + 1) {
+                const level = view.priorityQueue.slice(start, start * 2 + 1).map((item, offset) => {
+                    const highlightClass = view.heapHighlight.includes(start + offset) ? ' swap' : '';
+                    return `<div class="queue-item heap-node${highlightClass}">${heapItemLabel(graph, item)}</div>`;
+                }).join('');
+                treeHtml += `<div class="heap-level">${level}</div>`;
+            }
+            pqContent.innerHTML = `<div class="heap-tree">${treeHtml}</div>`;
+        }
+        
+        Array.from(view.visitedNodes).sort((a,b) => a-b).forEach(nodeId => {
+            const nodeLabel = graph.nodes.find(n => n.id === nodeId)?.label || '?';
+            visitedContent.innerHTML += `<div class="ds-item">${nodeLabel}</div>`;
+        });
+    }
+
+    function renderBoruvkaPanels(view, { pqContent, visitedContent }) {
+        if (view.components.length === 0) pqContent.innerHTML = '<div class="queue-item">Empty</div>';
+        else view.components.forEach((component, i) => {
+            const componentLabels = component.map(id => graph.nodes.find(n => n.id === id)?.label || '?').join(', ');
+            pqContent.innerHTML += `<div class="ds-item component">Component ${i}: {${componentLabels}}</div>`;
+        });
 
-            if (state.sortedEdges && state.sortedEdges.length > 0) state.sortedEdges.forEach(edge => {
+        if (view.cheapestEdges.length > 0) view.cheapestEdges.forEach(({ component, edge }) => {
+            const componentLabels = component.map(id => graph.nodes.find(n => n.id === id)?.label || '?').join(', ');
+            if (edge) {
                 const fromLabel = graph.nodes.find(n => n.id === edge.from)?.label || '?';
                 const toLabel = graph.nodes.find(n => n.id === edge.to)?.label || '?';
-                visitedContent.innerHTML += `<div class="ds-item">${fromLabel}-${toLabel} (${edge.weight})</div>`;
-            });
-            else visitedContent.innerHTML = '<div class="queue-item">Empty</div>';
-        }
+                visitedContent.innerHTML += `<div class="ds-item">{${componentLabels}} → ${fromLabel}-${toLabel} (${edge.weight})</div>`;
+            } else {
+                visitedContent.innerHTML += `<div class="ds-item">{${componentLabels}} → none</div>`;
+            }
+        });
+        else visitedContent.innerHTML = '<div class="queue-item">Empty</div>';
+    }
+
+    function renderReverseDeletePanels(view, { pqContent, visitedContent }) {
+        const frontierLabels = view.frontier.map(id => graph.nodes.find(n => n.id === id)?.label || '?').join(', ');
+        const reachedLabels = Array.from(view.visitedNodes).sort((a,b) => a-b).map(id => graph.nodes.find(n => n.id === id)?.label || '?').join(', ');
+        pqContent.innerHTML += `<div class="queue-item">Frontier: {${frontierLabels}}</div>`;
+        pqContent.innerHTML += `<div class="ds-item component">Reached: {${reachedLabels}}</div>`;
+        view.removedEdges.forEach(edge => {
+            const fromLabel = graph.nodes.find(n => n.id === edge.from)?.label || '?';
+            const toLabel = graph.nodes.find(n => n.id === edge.to)?.label || '?';
+            pqContent.innerHTML += `<div class="ds-item removed">Deleted ${fromLabel}-${toLabel} (${edge.weight})</div>`;
+        });
+
+        if (view.sortedEdges && view.sortedEdges.length > 0) view.sortedEdges.forEach(edge => {
+            const fromLabel = graph.nodes.find(n => n.id === edge.from)?.label || '?';
+            const toLabel = graph.nodes.find(n => n.id === edge.to)?.label || '?';
+            visitedContent.innerHTML += `<div class="ds-item">${fromLabel}-${toLabel} (${edge.weight})</div>`;
+        });
+        else visitedContent.innerHTML = '<div class="queue-item">Empty</div>';
+    }
+
+    function renderEdmondsPanels(view, { pqContent, visitedContent }) {
+        if (view.incomingEdges.length === 0) pqContent.innerHTML = '<div class="queue-item">Empty</div>';
+        else view.incomingEdges.forEach(({ node, edge, weight }) => {
+            const fromLabel = graph.nodes.find(n => n.id === edge.from)?.label || '?';
+            const toLabel = graph.nodes.find(n => n.id === edge.to)?.label || '?';
+            const reduced = weight !== edge.weight ? `, reduced ${weight}` : '';
+            pqContent.innerHTML += `<div class="ds-item">→ ${node}: ${fromLabel}→${toLabel} (${edge.weight}${reduced})</div>`;
+        });
+
+        if (view.superNodes.length === 0) visitedContent.innerHTML = '<div class="queue-item">None</div>';
+        else view.superNodes.forEach((superNode, i) => {
+            const memberLabels = superNode.map(id => graph.nodes.find(n => n.id === id)?.label || '?').join(', ');
+            visitedContent.innerHTML += `<div class="ds-item component" style="border-left: 4px solid ${COMPONENT_COLORS[i % COMPONENT_COLORS.length]};">c${i + 1}: {${memberLabels}}</div>`;
+        });
+    }
+
+    function renderSteinerPanels(view, { pqContent, visitedContent }) {
+        const labelOf = id => graph.nodes.find(n => n.id === id)?.label || '?';
+        if (view.closure.length === 0) pqContent.innerHTML = '<div class="queue-item">Empty</div>';
+        else view.closure.forEach(item => {
+            pqContent.innerHTML += `<div class="ds-item${item.inTree ? ' mst' : ''}">${labelOf(item.from)}–${labelOf(item.to)}: ${item.weight} (${item.path.map(labelOf).join('-')})</div>`;
+        });
+
+        const terminals = graph.nodes.filter(n => n.isTerminal);
+        if (terminals.length === 0) visitedContent.innerHTML = '<div class="queue-item">None</div>';
+        else terminals.forEach(node => {
+            visitedContent.innerHTML += `<div class="ds-item terminal">${node.label}</div>`;
+        });
+    }
+
+    function renderKruskalPanels(view, { pqContent, visitedContent }) {
+        if (view.unionFind) pqContent.innerHTML = renderUnionFindForest(view.unionFind, view.ufHighlight);
+        else if (view.disjointSets.length === 0) pqContent.innerHTML = '<div class="queue-item">Empty</div>';
+        else view.disjointSets.forEach((set, i) => {
+            const setLabels = set.map(id => graph.nodes.find(n => n.id === id)?.label || '?').join(', ');
+            pqContent.innerHTML += `<div class="ds-item component">Set ${i}: {${setLabels}}</div>`;
+        });
 
-        graph.mstEdges.forEach(edge => {
+        if (view.sortedEdges && view.sortedEdges.length > 0) view.sortedEdges.forEach(edge => {
             const fromLabel = graph.nodes.find(n => n.id === edge.from)?.label || '?';
             const toLabel = graph.nodes.find(n => n.id === edge.to)?.label || '?';
-            mstContent.innerHTML += `<div class="ds-item mst">${fromLabel}-${toLabel} (${edge.weight})</div>`;
+            visitedContent.innerHTML += `<div class="ds-item">${fromLabel}-${toLabel} (${edge.weight})</div>`;
+        });
+        else visitedContent.innerHTML = '<div class="queue-item">Empty</div>';
+    }
+
+    function renderUnionFindForest(unionFind, highlight) {
+        const labelOf = id => graph.nodes.find(n => n.id === Number(id))?.label || '?';
+        const children = {};
+        const roots = [];
+        Object.keys(unionFind.parent).forEach(id => {
+            const parentId = unionFind.parent[id];
+            if (String(parentId) === id) roots.push(id);
+            else (children[parentId] = children[parentId] || []).push(id);
         });
+
+        const renderNode = id => {
+            const highlightClass = highlight && highlight.nodes.map(String).includes(id) ? ` uf-${highlight.kind}` : '';
+            let meta = '';
+            if (unionFind.strategy === 'rank' && String(unionFind.parent[id]) === id) meta = ` <span class="uf-meta">r${unionFind.rank[id]}</span>`;
+            if (unionFind.strategy === 'size' && String(unionFind.parent[id]) === id) meta = ` <span class="uf-meta">s${unionFind.size[id]}</span>`;
+            const childHtml = (children[id] || []).map(renderNode).join('');
+            return `<div class="uf-subtree"><div class="ds-item uf-node${highlightClass}">${labelOf(id)}${meta}</div>${childHtml ? `<div class="uf-children">${childHtml}</div>` : ''}</div>`;
+        };
+
+        const parentRow = Object.keys(unionFind.parent)
+            .map(id => `<span class="uf-pointer">${labelOf(id)}→${labelOf(unionFind.parent[id])}</span>`)
+            .join('');
+        return `<div class="uf-view"><div class="uf-forest">${roots.map(renderNode).join('')}</div><div class="uf-parent-row">${parentRow}</div></div>`;
     }
 
     function updateAnimationControls() {
@@ -1121,54 +2967,64 @@ document.addEventListener('DOMContentLoaded', () => {
         const isAtStart = state.currentStep === 0;
         const isAtEnd = state.currentStep >= state.totalSteps;
         
-        document.getElementById('stepBackward').disabled = !hasSteps || isAtStart || state.isRunning;
-        document.getElementById('stepForward').disabled = !hasSteps || isAtEnd || state.isRunning;
-        document.getElementById('pauseResume').disabled = !hasSteps || isAtEnd;
-        document.getElementById('reset').disabled = !hasSteps; 
+        dom.getElementById('stepBackward').disabled = !hasSteps || isAtStart || state.isRunning || !!quiz.pending;
+        dom.getElementById('stepForward').disabled = !hasSteps || isAtEnd || state.isRunning || !!quiz.pending;
+        dom.getElementById('pauseResume').disabled = !hasSteps || isAtEnd || !!quiz.pending;
+        dom.getElementById('reset').disabled = !hasSteps; 
         
-        const visualizeBtn = document.getElementById('visualize');
+        const visualizeBtn = dom.getElementById('visualize');
         if (state.mode === 'generative') {
 
-            visualizeBtn.disabled = state.isRunning;
+            visualizeBtn.disabled = state.isRunning || isGraphLockedForExercise();
         } else {
 
-            visualizeBtn.disabled = state.isRunning || graph.nodes.length < 2;
+            visualizeBtn.disabled = state.isRunning || graph.nodes.length < 2 || isGraphLockedForExercise();
+        }
+
+        const hasAlternatives = state.isComplete && state.alternativeTrees.length > 1;
+        dom.getElementById('mstPager').classList.toggle('hidden', !hasAlternatives);
+        if (hasAlternatives) {
+            dom.getElementById('mstPageLabel').textContent = `MST ${state.alternativeIndex + 1} of ${state.alternativeTrees.length}${state.alternativeTreesCapped ? '+' : ''}`;
+            dom.getElementById('mstPrev').disabled = state.alternativeIndex === 0;
+            dom.getElementById('mstNext').disabled = state.alternativeIndex === state.alternativeTrees.length - 1;
         }
 
-        const isLocked = state.algorithmLocked || state.isDeletingNode || state.isEditingEdge || state.isDeletingEdge;
-        document.querySelectorAll('.algorithm-btn, #generateGraph, #graphTypeSelect, #nodeCount, #modeToggle').forEach(el => {
+        const isExerciseLocked = isGraphLockedForExercise();
+        const isLocked = state.algorithmLocked || state.isDeletingNode || state.isEditingEdge || state.isDeletingEdge || isExerciseLocked;
+        dom.querySelectorAll('.algorithm-btn, #generateGraph, #graphTypeSelect, #nodeCount, #modeToggle, #primVariantSelect, #showHeapSwaps, #unionStrategySelect, #pathCompression, #spanningForestMode, #directedMode, #rootNodeSelect, #markTerminalsBtn, #clearTerminalsBtn, #tieBreakSelect, #objectiveSelect, #quizMode, #compareBtn').forEach(el => {
                 if (el) el.disabled = isLocked;
         });
         
         if (state.mode === 'generative') {
-            const graphType = document.getElementById('graphTypeSelect').value;
-                if(document.getElementById('edgeDensity')) {
-                    document.getElementById('edgeDensity').disabled = isLocked || graphType === 'complete';
+            const graphType = dom.getElementById('graphTypeSelect').value;
+                if(dom.getElementById('edgeDensity')) {
+                    dom.getElementById('edgeDensity').disabled = isLocked || graphType === 'complete';
             }
-            document.getElementById('startNodeSelect').disabled = isLocked || graphType === 'cycle';
+            dom.getElementById('startNodeSelect').disabled = isLocked || graphType === 'cycle';
         } else {
-            document.getElementById('startNodeSelect').disabled = isLocked;
-            document.getElementById('deleteNodeBtn').disabled = state.algorithmLocked || state.isEditingEdge || state.isDeletingEdge;
-            document.getElementById('deleteEdgeBtn').disabled = state.algorithmLocked || state.isDeletingNode || state.isEditingEdge;
-            document.getElementById('editWeightBtn').disabled = state.algorithmLocked || state.isDeletingNode || state.isDeletingEdge;
+            dom.getElementById('startNodeSelect').disabled = isLocked;
+            dom.getElementById('deleteNodeBtn').disabled = state.algorithmLocked || state.isEditingEdge || state.isDeletingEdge || isExerciseLocked;
+            dom.getElementById('deleteEdgeBtn').disabled = state.algorithmLocked || state.isDeletingNode || state.isEditingEdge || isExerciseLocked;
+            dom.getElementById('editWeightBtn').disabled = state.algorithmLocked || state.isDeletingNode || state.isDeletingEdge || isExerciseLocked;
+            dom.getElementById('clearGraphBtn').disabled = isExerciseLocked;
         }
 
         if (state.isRunning) {
-            document.getElementById('pauseResume').textContent = 'Pause';
-            document.getElementById('animationStatus').textContent = `Running (Step ${state.currentStep + 1}/${state.totalSteps})`;
+            dom.getElementById('pauseResume').textContent = 'Pause';
+            dom.getElementById('animationStatus').textContent = `Running (Step ${state.currentStep + 1}/${state.totalSteps})`;
         } else {
-            document.getElementById('pauseResume').textContent = 'Resume';
+            dom.getElementById('pauseResume').textContent = 'Resume';
             if (state.isComplete) {
-                document.getElementById('animationStatus').textContent = `Visualization Complete`;
+                dom.getElementById('animationStatus').textContent = `Visualization Complete`;
             } else {
-                document.getElementById('animationStatus').textContent = hasSteps && !isAtEnd ? `Paused (Step ${state.currentStep}/${state.totalSteps})` : 'Ready to visualize';
+                dom.getElementById('animationStatus').textContent = hasSteps && !isAtEnd ? `Paused (Step ${state.currentStep}/${state.totalSteps})` : 'Ready to visualize';
             }
         }
     }
 
     function resetFull(forceGenerative = false) {
         if (state.mode === 'user' && !forceGenerative) {
-            graph = { nodes: [], edges: [], mstEdges: [] };
+            graph = { nodes: [], edges: [], mstEdges: [], directed: graph.directed };
             nextNodeId = 0;
             initializeLabels();
             
@@ -1180,20 +3036,28 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function resetAnimationState(fullReset) {
+        if (state.steps.length > 0) emitVisualizerEvent('reset', {});
         if (state.intervalId) clearInterval(state.intervalId);
         state.isRunning = false;
         state.isComplete = false;
         state.currentStep = 0;
         state.totalSteps = 0;
         state.steps = [];
+        state.stepsPseudocode = null;
         state.algorithmLocked = false;
-        state.consideringEdge = null;
-        state.invalidEdges = [];
-        state.priorityQueue = [];
-        state.visitedNodes = new Set();
-        state.disjointSets = [];
-        state.sortedEdges = null;
+        resetStepData(state);
+        state.graphComponents = [];
+        state.tiedEdges = [];
+        state.alternativeTrees = [];
+        state.alternativeIndex = 0;
+        state.alternativeTreesCapped = false;
+        state.bottleneckEdge = null;
+        state.cutEdges = [];
+        state.sensitivity = new Map();
         state.firstNodeForEdge = null;
+        quiz.pending = null;
+        quiz.active = false;
+        updateQuizUI();
         
         if (state.isDeletingNode) toggleDeleteMode();
         if (state.isEditingEdge) toggleEditMode();
@@ -1204,13 +3068,15 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         graph.mstEdges = [];
         
+        renderPseudocode(getSelectedAlgorithm().id);
         highlightPseudoLine(null);
 
         if (fullReset) {
+            state.cutSide.clear();
             const message = state.mode === 'user' 
                 ? 'Click on the canvas to create a graph, then click "Visualize" , User Mode Instructions given below.'
                 : 'Generate a graph, then click "Visualize" to see the steps here.';
-            document.getElementById('algorithm-steps-panel').innerHTML = message;
+            dom.getElementById('algorithm-steps-panel').innerHTML = message;
         }
         
         updateAnimationControls();
@@ -1218,12 +3084,36 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     function handleMouseDown(e) {
+        if (quiz.pending && quiz.pending.kind === 'pick') {
+            const { x, y } = getMousePos(e);
+            const clickedEdge = getEdgeAt(x, y);
+            if (clickedEdge) answerQuiz(clickedEdge);
+            return;
+        }
+        if (exercise.active) {
+            const { x, y } = getMousePos(e);
+            const clickedEdge = getNodeAt(x, y) ? null : getEdgeAt(x, y);
+            if (clickedEdge) {
+                toggleExerciseEdge(clickedEdge);
+                return;
+            }
+            if (isGraphLockedForExercise()) return;
+        }
+        if (state.isExploringCut) {
+            const { x, y } = getMousePos(e);
+            const clickedNode = getNodeAt(x, y);
+            if (clickedNode) toggleCutSide(clickedNode);
+            else state.lassoPoints = [{ x, y }];
+            return;
+        }
         if (state.algorithmLocked) return;
     
         const { x, y } = getMousePos(e);
         const clickedNode = getNodeAt(x, y);
     
-        if (clickedNode) {
+        if (clickedNode && state.isMarkingTerminals) {
+            toggleTerminal(clickedNode);
+        } else if (clickedNode) {
             if (state.mode === 'user') {
                 if (state.isDeletingNode) {
                     showDeleteModal(clickedNode);
@@ -1235,7 +3125,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 state.draggingNode = clickedNode;
                 state.dragOffset = { x: x - clickedNode.x, y: y - clickedNode.y };
             }
-        } else if (state.mode === 'user') {
+        } else if (state.mode === 'user' && !state.isMarkingTerminals) {
             const clickedEdge = state.isEditingEdge || state.isDeletingEdge ? getEdgeAt(x, y) : null;
             if (clickedEdge) {
                 if (state.isEditingEdge) {
@@ -1252,6 +3142,12 @@ document.addEventListener('DOMContentLoaded', () => {
     function handleMouseMove(e) {
         const { x, y } = getMousePos(e);
 
+        if (state.lassoPoints) {
+            state.lassoPoints.push({ x, y });
+            drawGraph();
+            return;
+        }
+
         if (state.potentialDragNode && state.mode === 'user') {
             const dx = x - state.mouseDownPos.x;
             const dy = y - state.mouseDownPos.y;
@@ -1283,6 +3179,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function handleMouseUp(e) {
+        if (state.lassoPoints) finishLasso();
         if (state.potentialDragNode) { 
                 handleNodeSelection(state.potentialDragNode);
         }
@@ -1290,6 +3187,97 @@ document.addEventListener('DOMContentLoaded', () => {
         state.draggingNode = null;
     }
 
+    // STEP TRACE FILES
+    function exportTrace() {
+        if (state.steps.length === 0) {
+            showToast("Run an algorithm first, then export its steps.", "warning");
+            return;
+        }
+        const trace = buildTrace();
+        const url = URL.createObjectURL(new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `mst-trace-${trace.algorithm}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+        showToast(`Exported ${state.steps.length} steps.`, 'success');
+    }
+
+    function buildTrace() {
+        const options = {};
+        Object.entries(TRACE_OPTION_CONTROLS).forEach(([key, id]) => {
+            const control = dom.getElementById(id);
+            options[key] = control.type === 'checkbox' ? control.checked : control.value;
+        });
+        const algorithm = getSelectedAlgorithm().id;
+        return serializeTrace({ graph, algorithm, pseudocode: state.stepsPseudocode || algorithm, options, steps: state.steps });
+    }
+
+    function importTrace(text) {
+        if (exercise.active || comparison.active) {
+            showToast("Finish the exercise or comparison before loading a trace.", "warning");
+            return;
+        }
+        let trace;
+        try {
+            trace = parseTrace(text, { algorithms: [...algorithmRegistry.keys()] });
+        } catch (error) {
+            showToast(`Could not load trace: ${error.message}`, 'error');
+            return;
+        }
+        if (applyTrace(trace)) showToast('Trace loaded.', 'success');
+    }
+
+    // Loads a parsed trace for replay. Settings a control cannot take are left as they are and reported; returns whether all of them applied.
+    function applyTrace(trace) {
+        loadGraphData(trace.graph);
+        const ignored = [];
+        Object.entries(TRACE_OPTION_CONTROLS).forEach(([key, id]) => {
+            const value = trace.options[key];
+            if (value === undefined) return;
+            const control = dom.getElementById(id);
+            const allowed = control.type === 'checkbox' ? typeof value === 'boolean' : [...control.options].some(option => option.value === String(value));
+            if (!allowed) ignored.push(key);
+            else if (control.type === 'checkbox') control.checked = value;
+            else control.value = String(value);
+        });
+        if (ignored.length > 0) showToast(`The trace has settings this page cannot use (${ignored.join(', ')}); the replay may not match them.`, 'warning');
+        dom.querySelectorAll('.algorithm-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.algo === trace.algorithm));
+        updateAlgorithmUI();
+
+        state.steps = trace.steps;
+        state.stepsPseudocode = trace.pseudocode;
+        state.totalSteps = trace.steps.length;
+        state.algorithmLocked = true;
+        restoreBaselineTree();
+        renderPseudocode(trace.pseudocode);
+        dom.getElementById('algorithm-steps-panel').innerHTML =
+            `<div class="step-highlight">Trace loaded</div><div class="step-explanation">${trace.steps.length} steps of ${getSelectedAlgorithm().name} are ready. Press Resume to replay them, or ▶ to go one step at a time.</div>`;
+        updateAnimationControls();
+        drawGraph();
+        return ignored.length === 0;
+    }
+
+    function loadGraphData(newGraph) {
+        resetAnimationState(false);
+        if (state.isMarkingTerminals) toggleTerminalMarking();
+        const unplaced = newGraph.nodes.filter(node => node.x === undefined);
+        const radius = Math.min(canvas.width, canvas.height) * 0.4;
+        unplaced.forEach((node, i) => {
+            const angle = (2 * Math.PI * i) / unplaced.length;
+            node.x = canvas.width / 2 + radius * Math.cos(angle);
+            node.y = canvas.height / 2 + radius * Math.sin(angle);
+        });
+
+        graph = newGraph;
+        dom.getElementById('directedMode').checked = graph.directed;
+        nextNodeId = Math.max(-1, ...graph.nodes.map(n => n.id)) + 1;
+        initializeLabels();
+        availableLabels = availableLabels.filter(label => !graph.nodes.some(n => n.label === label));
+        updateUIAfterGraphChange();
+        saveState();
+    }
+
     // USER MODE
     function handleCanvasClick(x, y) {
         if (availableLabels.length === 0) {
@@ -1315,13 +3303,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
 
-            const edgeExists = graph.edges.some(e =>
-                (e.from === state.firstNodeForEdge.id && e.to === node.id) ||
-                (e.from === node.id && e.to === state.firstNodeForEdge.id)
-            );
+            const edgeExists = graph.edges.some(e => edgesMatch(graph, e, { from: state.firstNodeForEdge.id, to: node.id }));
 
             if (edgeExists) {
-                showToast("An edge already exists between these two nodes.", "warning");
+                showToast(graph.directed ? "An edge already exists in this direction." : "An edge already exists between these two nodes.", "warning");
                 state.firstNodeForEdge = null;
                 drawGraph();
                 return;
@@ -1354,8 +3339,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const fromNode = graph.nodes.find(n => n.id === edge.from);
         const toNode = graph.nodes.find(n => n.id === edge.to);
 
-        const modalOverlay = document.getElementById('custom-modal-overlay');
-        const modalText = document.getElementById('modal-text');
+        const modalOverlay = dom.getElementById('custom-modal-overlay');
+        const modalText = dom.getElementById('modal-text');
         
         modalText.innerHTML = `
             <div style="text-align: center;">
@@ -1378,7 +3363,7 @@ document.addEventListener('DOMContentLoaded', () => {
         modalOverlay.classList.remove('hidden');
         
         setTimeout(() => {
-            const input = document.getElementById('edgeWeightInput');
+            const input = dom.getElementById('edgeWeightInput');
             if (input) {
                 input.focus();
                 input.select();
@@ -1387,8 +3372,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         state.pendingEdgeEdit = edge;
         
-        const confirmBtn = document.getElementById('modal-confirm-btn');
-        const cancelBtn = document.getElementById('modal-cancel-btn');
+        const confirmBtn = dom.getElementById('modal-confirm-btn');
+        const cancelBtn = dom.getElementById('modal-cancel-btn');
         
         confirmBtn.textContent = 'Update Weight';
         confirmBtn.onclick = confirmEdgeEdit;
@@ -1397,7 +3382,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function toggleDeleteEdgeMode() {
         state.isDeletingEdge = !state.isDeletingEdge;
-        const btn = document.getElementById('deleteEdgeBtn');
+        const btn = dom.getElementById('deleteEdgeBtn');
 
         if (state.isDeletingEdge) {
             if (state.isDeletingNode) toggleDeleteMode();
@@ -1419,7 +3404,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     function toggleEditMode() {
         state.isEditingEdge = !state.isEditingEdge;
-        const btn = document.getElementById('editWeightBtn');
+        const btn = dom.getElementById('editWeightBtn');
         if (state.isEditingEdge) {
             if(state.isDeletingNode) toggleDeleteMode();
             if(state.isDeletingEdge) toggleDeleteEdgeMode();
@@ -1436,7 +3421,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function toggleDeleteMode() {
         state.isDeletingNode = !state.isDeletingNode;
-        const btn = document.getElementById('deleteNodeBtn');
+        const btn = dom.getElementById('deleteNodeBtn');
 
         if (state.isDeletingNode) {
                 if(state.isEditingEdge) toggleEditMode();
@@ -1456,9 +3441,44 @@ document.addEventListener('DOMContentLoaded', () => {
         drawGraph();
     }
 
+    function toggleTerminalMarking() {
+        state.isMarkingTerminals = !state.isMarkingTerminals;
+        const btn = dom.getElementById('markTerminalsBtn');
+
+        if (state.isMarkingTerminals) {
+            if (state.isExploringCut) toggleCutExplorer();
+            if (state.isDeletingNode) toggleDeleteMode();
+            if (state.isEditingEdge) toggleEditMode();
+            if (state.isDeletingEdge) toggleDeleteEdgeMode();
+            btn.classList.add('active');
+            btn.textContent = 'Stop Marking';
+            state.firstNodeForEdge = null;
+            showToast("Click nodes to mark or unmark them as terminals.", "info");
+        } else {
+            btn.classList.remove('active');
+            btn.textContent = 'Mark Terminals';
+        }
+        updateCanvasCursor();
+        drawGraph();
+    }
+
+    function toggleTerminal(node) {
+        node.isTerminal = !node.isTerminal;
+        resetAnimationState(false);
+        saveState();
+    }
+
+    function clearTerminals() {
+        graph.nodes.forEach(node => node.isTerminal = false);
+        resetAnimationState(false);
+        saveState();
+    }
+
     function updateCanvasCursor() {
-        const canvasContainer = document.querySelector('.canvas-container');
-        if (state.mode === 'generative') {
+        const canvasContainer = dom.querySelector('.canvas-container');
+        if (state.isMarkingTerminals || state.isExploringCut) {
+            canvasContainer.style.cursor = 'pointer';
+        } else if (state.mode === 'generative') {
             canvasContainer.style.cursor = 'grab';
         } else {
             if (state.isDeletingNode) canvasContainer.style.cursor = 'not-allowed';
@@ -1469,7 +3489,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function showDeleteModal(node) {
         state.nodeToDelete = node;
-        document.getElementById('modal-text').textContent = `Delete node ${node.label} and all its edges?`;
+        dom.getElementById('modal-text').textContent = `Delete node ${node.label} and all its edges?`;
         modalOverlay.classList.remove('hidden');
     }
 
@@ -1483,11 +3503,11 @@ document.addEventListener('DOMContentLoaded', () => {
         const fromNode = graph.nodes.find(n => n.id === edge.from);
         const toNode = graph.nodes.find(n => n.id === edge.to);
         state.edgeToDelete = edge;
-        document.getElementById('modal-text').textContent = `Delete edge between ${fromNode.label} and ${toNode.label} (weight: ${edge.weight})?`;
+        dom.getElementById('modal-text').textContent = `Delete edge between ${fromNode.label} and ${toNode.label} (weight: ${edge.weight})?`;
         modalOverlay.classList.remove('hidden');
         
-        const confirmBtn = document.getElementById('modal-confirm-btn');
-        const cancelBtn = document.getElementById('modal-cancel-btn');
+        const confirmBtn = dom.getElementById('modal-confirm-btn');
+        const cancelBtn = dom.getElementById('modal-cancel-btn');
         
         confirmBtn.textContent = 'Delete Edge';
         confirmBtn.onclick = confirmEdgeDeletion;
@@ -1496,7 +3516,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     function confirmEdgeDeletion() {
         if (state.edgeToDelete) {
- 
+            const deletedEdge = state.edgeToDelete;
+
             graph.edges = graph.edges.filter(e => 
                 !(e.from === state.edgeToDelete.from && e.to === state.edgeToDelete.to)
             );
@@ -1515,6 +3536,7 @@ document.addEventListener('DOMContentLoaded', () => {
             saveState();
             
             showToast("Edge deleted successfully", "success");
+            applyDynamicUpdate({ kind: 'delete', edge: deletedEdge });
         }
     }
 
@@ -1522,8 +3544,8 @@ document.addEventListener('DOMContentLoaded', () => {
         state.edgeToDelete = null;
         modalOverlay.classList.add('hidden');
 
-        const confirmBtn = document.getElementById('modal-confirm-btn');
-        const cancelBtn = document.getElementById('modal-cancel-btn');
+        const confirmBtn = dom.getElementById('modal-confirm-btn');
+        const cancelBtn = dom.getElementById('modal-cancel-btn');
         
         confirmBtn.textContent = 'Confirm';
         confirmBtn.onclick = confirmDelete;
@@ -1551,7 +3573,8 @@ document.addEventListener('DOMContentLoaded', () => {
             const toNode = graph.nodes.find(n => n.id === edge.to);
             if (!fromNode || !toNode) continue;
 
-            const distance = pointToLineDistance(x, y, fromNode.x, fromNode.y, toNode.x, toNode.y);
+            const { x1, y1, x2, y2 } = getEdgeEndpoints(edge, fromNode, toNode);
+            const distance = pointToLineDistance(x, y, x1, y1, x2, y2);
 
             const labelPos = calculateOptimalLabelPosition(edge, graph.edges);
             const labelDistance = Math.sqrt((x - labelPos.x) ** 2 + (y - labelPos.y) ** 2);
@@ -1614,6 +3637,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 clearInterval(state.intervalId); 
                 state.isRunning = false; 
             }
+            if (askQuizQuestion(state.currentStep)) return;
             executeStep(state.currentStep);
             state.currentStep++;
             updateAnimationControls();
@@ -1622,17 +3646,22 @@ document.addEventListener('DOMContentLoaded', () => {
                 state.isComplete = true;
                 state.algorithmLocked = false;
                 
-                const totalWeight = graph.mstEdges.reduce((sum, edge) => sum + edge.weight, 0);
-                document.getElementById('algorithm-steps-panel').innerHTML = 
-                    `<div class="step-highlight">Algorithm complete!</div>
-                        <div class="step-explanation">MST has ${graph.mstEdges.length} edges with total weight ${totalWeight}.</div>`;
+                showCompletionSummary();
                 
                 updateAnimationControls();
                 drawGraph();
+                emitVisualizerEvent('complete', getRunSummary());
             }
         }
     }
 
+    // A dynamic update opens with a setTree step holding the tree it started from, so that tree is the state before any step.
+    function restoreBaselineTree() {
+        const baseline = state.steps[0]?.action === 'setTree' ? state.steps[0].treeEdges : [];
+        graph.edges.forEach(edge => edge.isInMST = baseline.includes(edge));
+        graph.mstEdges = graph.edges.filter(edge => edge.isInMST);
+    }
+
     function stepBackward() {
         if (state.currentStep > 0) {
             if (state.isRunning) { 
@@ -1644,49 +3673,52 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             state.currentStep--;
             
-            graph.edges.forEach(edge => edge.isInMST = false);
-            graph.mstEdges = [];
-            state.priorityQueue = [];
-            state.visitedNodes = new Set();
-            state.disjointSets = [];
-            state.sortedEdges = null;
-            state.consideringEdge = null;
-            state.invalidEdges = [];
+            restoreBaselineTree();
+            resetStepData(state);
             
             for (let i = 0; i < state.currentStep; i++) {
                 const step = state.steps[i];
                 if (step.action === 'addEdge') {
-                    const edge = graph.edges.find(e => 
-                        (e.from === step.edge.from && e.to === step.edge.to) || 
-                        (e.from === step.edge.to && e.to === step.edge.from)
-                    );
+                    const edge = graph.edges.find(e => edgesMatch(graph, e, step.edge));
                     if (edge && !edge.isInMST) {
                         edge.isInMST = true;
                         graph.mstEdges.push(edge);
                     }
+                } else if (step.action === 'removeEdge') {
+                    const edge = graph.edges.find(e => edgesMatch(graph, e, step.edge));
+                    if (edge) {
+                        edge.isInMST = false;
+                        graph.mstEdges = graph.mstEdges.filter(e => e !== edge);
+                    }
+                } else if (step.action === 'setTree') {
+                    graph.edges.forEach(edge => edge.isInMST = step.treeEdges.includes(edge));
+                    graph.mstEdges = graph.edges.filter(edge => edge.isInMST);
                 }
                 
-                if (step.priorityQueue) state.priorityQueue = step.priorityQueue;
-                if (step.visitedNodes) state.visitedNodes = new Set(step.visitedNodes);
-                if (step.disjointSets) state.disjointSets = step.disjointSets;
-                if (step.sortedEdges) state.sortedEdges = step.sortedEdges;
+                applyStepData(state, step);
             }
             
             if (state.currentStep > 0) {
                 const prevStep = state.steps[state.currentStep - 1];
-                document.getElementById('algorithm-steps-panel').innerHTML = prevStep.description;
+                dom.getElementById('algorithm-steps-panel').innerHTML = prevStep.description;
                 
-                if (prevStep.action === 'considerEdge') {
+                if (prevStep.action === 'considerEdge' || prevStep.action === 'checkConnectivity') {
                     state.consideringEdge = prevStep.edge;
                 } else if (prevStep.action === 'showInvalid') {
                     state.invalidEdges = prevStep.invalidEdges || [];
+                    state.cyclePath = prevStep.cyclePath || [];
+                } else if (prevStep.action === 'removeEdge') {
+                    state.invalidEdges = [prevStep.edge];
+                } else if (prevStep.action === 'setTree') {
+                    state.consideringEdge = prevStep.edge;
                 }
                 highlightPseudoLine(prevStep.pseudoLine);
+                emitVisualizerEvent('step', { index: state.currentStep - 1, total: state.totalSteps, direction: 'backward', action: prevStep.action || null, description: prevStep.description });
             } else {
                     const message = state.mode === 'user' 
                     ? 'Click on the canvas to create a graph, then click "Visualize".'
                     : 'Generate a graph, then click "Visualize" to see the steps here.';
-                document.getElementById('algorithm-steps-panel').innerHTML = message;
+                dom.getElementById('algorithm-steps-panel').innerHTML = message;
                 highlightPseudoLine(null);
             }
             
@@ -1696,7 +3728,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function showToast(message, type = 'info') {
-        const container = document.getElementById('toast-container');
+        const container = dom.getElementById('toast-container');
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.textContent = message;
@@ -1735,6 +3767,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 state.history[mode].shift();
                 state.historyIndex[mode]--;
             }
+            emitVisualizerEvent('graphChanged', { graph: toPlainGraph(graph) });
         }
         
         updateUndoRedoButtons();
@@ -1770,18 +3803,19 @@ document.addEventListener('DOMContentLoaded', () => {
         
         updateUIAfterGraphChange();
         updateUndoRedoButtons();
+        emitVisualizerEvent('graphChanged', { graph: toPlainGraph(graph) });
     }
 
     function updateUndoRedoButtons() {
-        const undoBtn = document.getElementById('undoBtn');
-        const redoBtn = document.getElementById('redoBtn');
+        const undoBtn = dom.getElementById('undoBtn');
+        const redoBtn = dom.getElementById('redoBtn');
         
         const mode = state.mode;
         const modeHistory = state.history[mode];
         const currentIndex = state.historyIndex[mode];
         
-        if (undoBtn) undoBtn.disabled = currentIndex <= 0;
-        if (redoBtn) redoBtn.disabled = currentIndex >= modeHistory.length - 1;
+        if (undoBtn) undoBtn.disabled = currentIndex <= 0 || isGraphLockedForExercise();
+        if (redoBtn) redoBtn.disabled = currentIndex >= modeHistory.length - 1 || isGraphLockedForExercise();
     }
 
     function isEqual(state1, state2) {
@@ -1789,8 +3823,8 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function showWeightInputModal(node1, node2) {
-        const modalOverlay = document.getElementById('custom-modal-overlay');
-        const modalText = document.getElementById('modal-text');
+        const modalOverlay = dom.getElementById('custom-modal-overlay');
+        const modalText = dom.getElementById('modal-text');
         
         modalText.innerHTML = `
             <div style="text-align: center;">
@@ -1813,7 +3847,7 @@ document.addEventListener('DOMContentLoaded', () => {
         modalOverlay.classList.remove('hidden');
         
         setTimeout(() => {
-            const input = document.getElementById('edgeWeightInput');
+            const input = dom.getElementById('edgeWeightInput');
             if (input) {
                 input.focus();
                 input.select();
@@ -1822,8 +3856,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         state.pendingEdge = { node1, node2 };
         
-        const confirmBtn = document.getElementById('modal-confirm-btn');
-        const cancelBtn = document.getElementById('modal-cancel-btn');
+        const confirmBtn = dom.getElementById('modal-confirm-btn');
+        const cancelBtn = dom.getElementById('modal-cancel-btn');
         
         confirmBtn.textContent = 'Add Edge';
         confirmBtn.onclick = confirmEdgeAddition;
@@ -1831,7 +3865,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function confirmEdgeAddition() {
-        const input = document.getElementById('edgeWeightInput');
+        const input = dom.getElementById('edgeWeightInput');
         const weight = parseInt(input.value);
         
         if (isNaN(weight) || weight <= 0) {
@@ -1840,12 +3874,13 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         if (state.pendingEdge) {
-            graph.edges.push({ 
+            const newEdge = { 
                 from: state.pendingEdge.node1.id, 
                 to: state.pendingEdge.node2.id, 
                 weight, 
                 isInMST: false 
-            });
+            };
+            graph.edges.push(newEdge);
 
             state.firstNodeForEdge = null;
             state.pendingEdge = null;
@@ -1856,6 +3891,7 @@ document.addEventListener('DOMContentLoaded', () => {
             saveState();
             
             showToast(`Edge added with weight ${weight}`, "success");
+            applyDynamicUpdate({ kind: 'add', edge: newEdge });
         }
     }
 
@@ -1867,7 +3903,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function confirmEdgeEdit() {
-        const input = document.getElementById('edgeWeightInput');
+        const input = dom.getElementById('edgeWeightInput');
         const newWeight = parseInt(input.value);
         
         if (isNaN(newWeight) || newWeight <= 0) {
@@ -1876,7 +3912,9 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         if (state.pendingEdgeEdit) {
-            state.pendingEdgeEdit.weight = newWeight;
+            const editedEdge = state.pendingEdgeEdit;
+            const oldWeight = editedEdge.weight;
+            editedEdge.weight = newWeight;
             state.pendingEdgeEdit = null;
             
             hideModal();
@@ -1890,6 +3928,7 @@ document.addEventListener('DOMContentLoaded', () => {
             saveState();
             
             showToast(`Edge weight updated to ${newWeight}`, "success");
+            applyDynamicUpdate({ kind: 'weight', edge: editedEdge, oldWeight });
         }
     }
 
@@ -1899,11 +3938,11 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function hideModal() {
-        const modalOverlay = document.getElementById('custom-modal-overlay');
+        const modalOverlay = dom.getElementById('custom-modal-overlay');
         modalOverlay.classList.add('hidden');
 
-        const confirmBtn = document.getElementById('modal-confirm-btn');
-        const cancelBtn = document.getElementById('modal-cancel-btn');
+        const confirmBtn = dom.getElementById('modal-confirm-btn');
+        const cancelBtn = dom.getElementById('modal-cancel-btn');
         
         confirmBtn.textContent = 'Confirm';
         confirmBtn.onclick = confirmDelete;
@@ -1953,9 +3992,225 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function getAnimationDelay() { return 2200 - (state.speed * 200); }
-    function clone(obj) { return JSON.parse(JSON.stringify(obj)); }
+
+    // EMBEDDING API
+    function emitVisualizerEvent(type, detail) {
+        [...(visualizerListeners[type] || [])].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                setTimeout(() => { throw error; });
+            }
+        });
+    }
+
+    function getRunSummary() {
+        return {
+            algorithm: getSelectedAlgorithm().id,
+            steps: state.totalSteps,
+            weight: graph.mstEdges.reduce((sum, edge) => sum + edge.weight, 0),
+            treeEdges: graph.mstEdges.map(({ from, to, weight }) => ({ from, to, weight })),
+        };
+    }
+
+    function getVisualizerStatus() {
+        return {
+            ...getRunSummary(),
+            currentStep: state.currentStep,
+            totalSteps: state.totalSteps,
+            isRunning: state.isRunning,
+            isComplete: state.isComplete,
+        };
+    }
+
+    /*
+     * window.MSTVisualizer (or <mst-visualizer>.visualizer) lets a host page drive the app. Events: 'step', 'edgeAdded', 'complete', 'graphChanged', 'reset'.
+     * Methods throw an Error when called with arguments the page would reject; run() returns a promise of the completion summary.
+     */
+    function createVisualizerApi() {
+        const requireIdle = () => {
+            if (state.algorithmLocked || comparison.active) throw new Error('A run is in progress. Reset it or let it finish first.');
+        };
+        const requireSteps = () => {
+            if (state.steps.length === 0) throw new Error('Run an algorithm or load a trace first.');
+        };
+        const requireEditable = () => {
+            requireIdle();
+            if (isGraphLockedForExercise()) throw new Error('The exercise has locked the graph.');
+        };
+
+        const api = {
+            version: 1,
+            on(type, listener) {
+                (visualizerListeners[type] = visualizerListeners[type] || []).push(listener);
+                return () => api.off(type, listener);
+            },
+            off(type, listener) {
+                visualizerListeners[type] = (visualizerListeners[type] || []).filter(l => l !== listener);
+            },
+            once(type) {
+                return new Promise(resolve => {
+                    const stop = api.on(type, detail => {
+                        stop();
+                        resolve(detail);
+                    });
+                });
+            },
+            getAlgorithms: () => [...algorithmRegistry.values()].map(({ id, name, directed }) => ({ id, name, directed })),
+            registerAlgorithm,
+            getGraph: () => toPlainGraph(graph),
+            loadGraph(data) {
+                requireIdle();
+                loadGraphData(parseGraph(data));
+                return toPlainGraph(graph);
+            },
+            generateGraph({ type, nodeCount, density, directed } = {}) {
+                requireIdle();
+                if (type !== undefined && !['random', 'complete', 'cycle'].includes(type)) throw new Error(`Unknown graph type "${type}".`);
+                if (type !== undefined) dom.getElementById('graphTypeSelect').value = type;
+                if (nodeCount !== undefined) dom.getElementById('nodeCount').value = nodeCount;
+                if (directed !== undefined) {
+                    graph.directed = !!directed;
+                    dom.getElementById('directedMode').checked = graph.directed;
+                }
+                updateEdgeDensityForGraphType();
+                if (density !== undefined && type !== 'complete') dom.getElementById('edgeDensity').value = Math.round(density * 100);
+                ['nodeCount', 'edgeDensity'].forEach(id => dom.getElementById(id).dispatchEvent(new Event('input')));
+                generateGraph();
+                return toPlainGraph(graph);
+            },
+            // Step through the current mode's edit history, like the Undo and Redo buttons; at either end the graph is left as it is.
+            undo() {
+                requireEditable();
+                undo();
+                return toPlainGraph(graph);
+            },
+            redo() {
+                requireEditable();
+                redo();
+                return toPlainGraph(graph);
+            },
+            setMode(mode) {
+                requireIdle();
+                if (!['generative', 'user'].includes(mode)) throw new Error(`Unknown mode "${mode}". Use "generative" or "user".`);
+                if (mode === state.mode) return;
+                modeToggle.checked = mode === 'user';
+                switchMode(mode);
+            },
+            setTheme(theme) {
+                if (!['light', 'dark'].includes(theme)) throw new Error(`Unknown theme "${theme}". Use "light" or "dark".`);
+                applyTheme(theme);
+            },
+            selectAlgorithm(id) {
+                requireIdle();
+                if (!algorithmRegistry.has(id)) throw new Error(`Unknown algorithm "${id}".`);
+                selectAlgorithm(id);
+            },
+            setStartNode(nodeId) {
+                requireIdle();
+                if (!graph.nodes.some(n => n.id === nodeId)) throw new Error(`The graph has no node with id ${nodeId}.`);
+                ['startNodeSelect', 'rootNodeSelect'].forEach(id => dom.getElementById(id).value = nodeId);
+                resetAnimationState(false);
+            },
+            run({ algorithm, startNode } = {}) {
+                try {
+                    if (algorithm !== undefined) api.selectAlgorithm(algorithm);
+                    if (startNode !== undefined) api.setStartNode(startNode);
+                    requireIdle();
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+                startVisualization();
+                if (!state.isRunning) return Promise.reject(new Error('The visualization did not start. The page shows the reason.'));
+                return new Promise((resolve, reject) => {
+                    const stop = () => {
+                        stopComplete();
+                        stopReset();
+                    };
+                    const stopComplete = api.on('complete', summary => {
+                        stop();
+                        resolve(summary);
+                    });
+                    const stopReset = api.on('reset', () => {
+                        stop();
+                        reject(new Error('The run was reset before it finished.'));
+                    });
+                });
+            },
+            step() {
+                requireSteps();
+                stepForward();
+                return getVisualizerStatus();
+            },
+            stepBack() {
+                requireSteps();
+                stepBackward();
+                return getVisualizerStatus();
+            },
+            pause() {
+                if (state.isRunning) togglePauseResume();
+                return getVisualizerStatus();
+            },
+            resume() {
+                requireSteps();
+                if (!state.isRunning) togglePauseResume();
+                return getVisualizerStatus();
+            },
+            // Leaves exactly `index` steps applied, from 0 (before the first step) to the step count.
+            jumpTo(index) {
+                requireSteps();
+                const target = Math.max(0, Math.min(state.totalSteps, Math.floor(index)));
+                if (state.isRunning) togglePauseResume();
+                if (target < state.currentStep) {
+                    state.currentStep = target + 1;
+                    stepBackward();
+                }
+                while (state.currentStep < target) {
+                    const before = state.currentStep;
+                    stepForward();
+                    if (state.currentStep === before) break;
+                }
+                return getVisualizerStatus();
+            },
+            reset() {
+                resetAnimationState(false);
+                return getVisualizerStatus();
+            },
+            getStatus: getVisualizerStatus,
+            getTrace() {
+                requireSteps();
+                return buildTrace();
+            },
+            loadTrace(trace) {
+                requireIdle();
+                applyTrace(parseTrace(trace, { algorithms: [...algorithmRegistry.keys()] }));
+                return getVisualizerStatus();
+            },
+            // Stops playback and drops the window and resize listeners, e.g. when <mst-visualizer> leaves the page. The instance is not usable afterwards.
+            destroy() {
+                clearInterval(state.intervalId);
+                state.intervalId = null;
+                state.isRunning = false;
+                stopComparisonPlayback();
+                window.removeEventListener('resize', setCanvasSize);
+                resizeObserver?.disconnect();
+                Object.keys(visualizerListeners).forEach(type => delete visualizerListeners[type]);
+            },
+        };
+        return api;
+    }
 
     updateEdgeDensityForGraphType();
 
     saveState();
+
+    return createVisualizerApi();
+}
+
+// The standalone page (index.html) mounts into the document itself; <mst-visualizer> mounts into its own shadow roots.
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('graphCanvas')) return;
+    window.MSTVisualizer = mountVisualizer(document);
+    window.registerMSTAlgorithm = window.MSTVisualizer.registerAlgorithm;
+    window.dispatchEvent(new CustomEvent('mstvisualizer:ready', { detail: window.MSTVisualizer }));
 });
\ No newline at end of file
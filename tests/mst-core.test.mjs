@@ -0,0 +1,387 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TRACE_VERSION, boruvkaSteps, createGraph, createMinHeap, createOperationCounters, edgesMatch, edmondsSteps, findConnectedComponents,
+    findTreePath, findUnreachable, generateGraph, kruskalSteps, parseGraph, parseTrace, primSteps, reverseDeleteSteps, serializeTrace,
+    steinerSteps, toPlainGraph
+} from '../mst-core.mjs';
+
+function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function buildGraph(labels, edges) {
+    const graph = createGraph();
+    graph.nodes = labels.map((label, id) => ({ id, x: 0, y: 0, label }));
+    graph.edges = edges.map(([from, to, weight]) => ({ from, to, weight, isInMST: false }));
+    return graph;
+}
+
+function randomConnectedGraph(random, nodeCount, extraEdges) {
+    const edges = [];
+    const has = (u, v) => edges.some(([a, b]) => (a === u && b === v) || (a === v && b === u));
+    for (let i = 1; i < nodeCount; i++) edges.push([Math.floor(random() * i), i, 1 + Math.floor(random() * 9)]);
+    for (let k = 0; k < extraEdges; k++) {
+        const u = Math.floor(random() * nodeCount);
+        const v = Math.floor(random() * nodeCount);
+        if (u !== v && !has(u, v)) edges.push([u, v, 1 + Math.floor(random() * 9)]);
+    }
+    return buildGraph(Array.from({ length: nodeCount }, (_, i) => String.fromCharCode(65 + i)), edges);
+}
+
+// Enumerates every (n - 1)-edge subset and keeps the best acyclic one.
+function bruteForceTreeWeight(graph, maximize) {
+    const n = graph.nodes.length;
+    let best = null;
+    const choose = (start, picked) => {
+        if (picked.length === n - 1) {
+            const parent = graph.nodes.map(node => node.id);
+            const find = u => (parent[u] === u ? u : (parent[u] = find(parent[u])));
+            for (const edge of picked) {
+                const a = find(edge.from);
+                const b = find(edge.to);
+                if (a === b) return;
+                parent[a] = b;
+            }
+            const weight = picked.reduce((sum, edge) => sum + edge.weight, 0);
+            if (best === null || (maximize ? weight > best : weight < best)) best = weight;
+            return;
+        }
+        for (let i = start; i < graph.edges.length; i++) choose(i + 1, [...picked, graph.edges[i]]);
+    };
+    choose(0, []);
+    return best;
+}
+
+function treeEdges(steps) {
+    return steps.filter(step => step.action === 'addEdge').map(step => step.edge);
+}
+
+function treeWeight(steps) {
+    return treeEdges(steps).reduce((sum, edge) => sum + edge.weight, 0);
+}
+
+function compactTrace(graph, steps) {
+    const label = id => graph.nodes.find(node => node.id === id).label;
+    return steps.filter(step => step.action).map(step => `${step.action} ${label(step.edge.from)}${label(step.edge.to)} @${step.pseudoLine}`);
+}
+
+test('every algorithm matches a brute-force optimum on random graphs', () => {
+    const random = seededRandom(2024);
+    for (let trial = 0; trial < 40; trial++) {
+        const graph = randomConnectedGraph(random, 3 + (trial % 4), 2 + (trial % 6));
+        for (const objective of ['minimum', 'maximum']) {
+            const expected = bruteForceTreeWeight(graph, objective === 'maximum');
+            const runs = {
+                lazyPrim: primSteps(graph, { variant: 'lazy', objective }),
+                eagerPrim: primSteps(graph, { variant: 'eager', objective }),
+                naiveKruskal: kruskalSteps(graph, { unionStrategy: 'naive', objective }).steps,
+                rankKruskal: kruskalSteps(graph, { unionStrategy: 'rank', pathCompression: true, objective }).steps,
+                sizeKruskal: kruskalSteps(graph, { unionStrategy: 'size', objective }).steps,
+            };
+            if (objective === 'minimum') {
+                runs.boruvka = boruvkaSteps(graph);
+                runs.reverseDelete = reverseDeleteSteps(graph).steps;
+            }
+            for (const [name, steps] of Object.entries(runs)) {
+                assert.equal(treeEdges(steps).length, graph.nodes.length - 1, `${name} tree size (trial ${trial}, ${objective})`);
+                assert.equal(treeWeight(steps), expected, `${name} weight (trial ${trial}, ${objective})`);
+            }
+        }
+    }
+});
+
+test('tie-breaking rules never change the tree weight', () => {
+    const random = seededRandom(99);
+    for (let trial = 0; trial < 20; trial++) {
+        const graph = randomConnectedGraph(random, 5, 6);
+        graph.edges.forEach(edge => { edge.weight = 1 + (edge.weight % 2); });
+        const expected = bruteForceTreeWeight(graph, false);
+        for (const tieBreak of ['index', 'label', 'random']) {
+            assert.equal(treeWeight(kruskalSteps(graph, { tieBreak }).steps), expected);
+            assert.equal(treeWeight(primSteps(graph, { tieBreak })), expected);
+            assert.equal(treeWeight(boruvkaSteps(graph, { tieBreak })), expected);
+            assert.equal(treeWeight(reverseDeleteSteps(graph, { tieBreak }).steps), expected);
+        }
+    }
+});
+
+test('spanning forest mode covers every component', () => {
+    const graph = buildGraph(['A', 'B', 'C', 'D', 'E'], [[0, 1, 4], [1, 2, 1], [0, 2, 2], [3, 4, 7]]);
+    const kruskal = kruskalSteps(graph).steps;
+    const prim = primSteps(graph, { spanningForest: true });
+    assert.equal(treeEdges(kruskal).length, 3);
+    assert.equal(treeWeight(kruskal), 10);
+    assert.equal(treeWeight(prim), 10);
+    assert.equal(treeWeight(primSteps(graph, { spanningForest: false })), 3);
+
+    const boruvka = boruvkaSteps(graph);
+    assert.equal(treeWeight(boruvka), 10);
+    assert.match(boruvka.at(-1).description, /Minimum Spanning Forest is complete/);
+    assert.match(boruvkaSteps(buildGraph(['A', 'B'], [[0, 1, 1]])).at(-1).description, /Minimum Spanning Tree is complete/);
+
+    const reverseDelete = reverseDeleteSteps(graph, { spanningForest: true }).steps;
+    assert.equal(treeWeight(reverseDelete), 10);
+    assert.match(reverseDelete.at(-1).description, /Minimum Spanning Forest\./);
+    assert.ok(reverseDelete.filter(step => step.action === 'addEdge').every(step => step.description.includes('would split its component')));
+    assert.match(reverseDeleteSteps(buildGraph(['A', 'B'], [[0, 1, 1]]), { spanningForest: true }).steps.at(-1).description, /Minimum Spanning Tree\./);
+    assert.match(kruskalSteps(graph, { spanningForest: true }).steps.at(-1).description, /Minimum Spanning Forest is complete/);
+    assert.match(kruskal.at(-1).description, /Minimum Spanning Tree is complete/);
+});
+
+// Picks one incoming edge for every non-root node in all possible ways and keeps the cheapest choice that reaches the root.
+function bruteForceArborescenceWeight(graph, rootId) {
+    const others = graph.nodes.map(node => node.id).filter(id => id !== rootId);
+    let best = null;
+    const choose = (index, picked) => {
+        if (index === others.length) {
+            const parentOf = new Map(picked.map(edge => [edge.to, edge.from]));
+            const reachesRoot = others.every(id => {
+                let current = id;
+                for (let hops = 0; hops < others.length && current !== rootId; hops++) current = parentOf.get(current);
+                return current === rootId;
+            });
+            const weight = picked.reduce((sum, edge) => sum + edge.weight, 0);
+            if (reachesRoot && (best === null || weight < best)) best = weight;
+            return;
+        }
+        graph.edges.filter(edge => edge.to === others[index]).forEach(edge => choose(index + 1, [...picked, edge]));
+    };
+    choose(0, []);
+    return best;
+}
+
+test('Edmonds builds a minimum arborescence on random directed graphs', () => {
+    const random = seededRandom(31);
+    for (let trial = 0; trial < 30; trial++) {
+        const nodeCount = 3 + (trial % 3);
+        const edges = [];
+        for (let u = 0; u < nodeCount; u++) {
+            for (let v = 0; v < nodeCount; v++) {
+                if (u !== v && random() < 0.6) edges.push([u, v, 1 + Math.floor(random() * 9)]);
+            }
+        }
+        const graph = buildGraph(Array.from({ length: nodeCount }, (_, i) => String.fromCharCode(65 + i)), edges);
+        graph.directed = true;
+        const rootId = trial % nodeCount;
+        if (findUnreachable(graph, rootId).length > 0) {
+            assert.throws(() => edmondsSteps(graph, { rootId }), /cannot be reached/);
+            continue;
+        }
+
+        const arborescence = treeEdges(edmondsSteps(graph, { rootId }));
+        const incoming = arborescence.map(edge => edge.to).sort();
+        assert.deepEqual(incoming, graph.nodes.map(node => node.id).filter(id => id !== rootId), `one in-edge per non-root node (trial ${trial})`);
+        const tree = createGraph({ directed: true });
+        tree.nodes = graph.nodes;
+        tree.edges = arborescence;
+        assert.deepEqual(findUnreachable(tree, rootId), [], `every node reachable from the root (trial ${trial})`);
+        assert.equal(treeWeight(edmondsSteps(graph, { rootId })), bruteForceArborescenceWeight(graph, rootId), `weight (trial ${trial})`);
+    }
+});
+
+test('Steiner trees connect the terminals and keep only terminal leaves', () => {
+    const graph = buildGraph(['A', 'B', 'C', 'D', 'E'], [[0, 4, 1], [1, 4, 1], [2, 4, 1], [0, 1, 3], [1, 2, 3], [2, 3, 5]]);
+    const steps = steinerSteps(graph, { terminals: [0, 1, 2] });
+    const kept = treeEdges(steps).filter(edge => !steps.some(step => step.action === 'removeEdge' && step.edge === edge));
+    assert.equal(kept.reduce((sum, edge) => sum + edge.weight, 0), 3);
+    assert.ok(kept.every(edge => edge.from === 4 || edge.to === 4), 'the Steiner point E is used');
+
+    assert.throws(() => steinerSteps(graph, { terminals: [0] }), /at least two terminal/);
+    const split = buildGraph(['A', 'B', 'C'], [[0, 1, 1]]);
+    assert.throws(() => steinerSteps(split, { terminals: [0, 2] }), /not connected/);
+});
+
+test('step traces on a fixed graph are stable', () => {
+    const graph = buildGraph(['A', 'B', 'C', 'D'], [[0, 1, 1], [1, 2, 2], [0, 2, 3], [2, 3, 4], [1, 3, 5]]);
+
+    assert.deepEqual(compactTrace(graph, primSteps(graph, { startNodeId: 0 })), [
+        'considerEdge AB @5', 'addEdge AB @7',
+        'considerEdge BC @5', 'addEdge BC @7',
+        'considerEdge AC @5', 'showInvalid AC @12',
+        'considerEdge CD @5', 'addEdge CD @7',
+    ]);
+    assert.deepEqual(primSteps(graph, { startNodeId: 0 }).map(step => step.pseudoLine),
+        [2, 3, 5, 7, 10, 10, 5, 5, 7, 10, 5, 12, 5, 7, 10, 13]);
+
+    assert.deepEqual(compactTrace(graph, primSteps(graph, { startNodeId: 0, variant: 'eager' })), [
+        'considerEdge AB @12', 'considerEdge AC @12',
+        'considerEdge AB @6', 'addEdge AB @7', 'showInvalid AC @13', 'considerEdge BD @12',
+        'considerEdge BC @6', 'addEdge BC @7', 'showInvalid BD @13',
+        'considerEdge CD @6', 'addEdge CD @7',
+    ]);
+
+    assert.deepEqual(compactTrace(graph, kruskalSteps(graph, { unionStrategy: 'rank', pathCompression: true }).steps), [
+        'considerEdge AB @4', 'addEdge AB @6',
+        'considerEdge BC @4', 'addEdge BC @6',
+        'considerEdge AC @4', 'showInvalid AC @9',
+        'considerEdge CD @4', 'addEdge CD @6',
+    ]);
+    assert.deepEqual(kruskalSteps(graph).steps.map(step => step.pseudoLine),
+        [3, 4, 5, 5, 6, 7, 4, 5, 5, 6, 7, 4, 5, 5, 9, 4, 5, 5, 6, 7, 10]);
+});
+
+test('rejected edges report the cycle they would close', () => {
+    const graph = buildGraph(['A', 'B', 'C', 'D'], [[0, 1, 1], [1, 2, 2], [0, 2, 3], [2, 3, 4]]);
+    const rejected = kruskalSteps(graph).steps.find(step => step.action === 'showInvalid');
+    assert.equal(rejected.edge.weight, 3);
+    assert.equal(rejected.cyclePath.length, 2);
+});
+
+test('generated graphs are connected and respect their type', () => {
+    const random = seededRandom(7);
+    for (const type of ['random', 'complete', 'cycle']) {
+        for (let nodeCount = 4; nodeCount <= 9; nodeCount++) {
+            const { graph } = generateGraph({ type, nodeCount, density: 0.6, random });
+            assert.equal(graph.nodes.length, nodeCount);
+            assert.equal(findConnectedComponents(graph).length, 1, `${type} with ${nodeCount} nodes`);
+            if (type === 'complete') assert.equal(graph.edges.length, nodeCount * (nodeCount - 1) / 2);
+            graph.edges.forEach(edge => assert.notEqual(edge.from, edge.to));
+        }
+    }
+});
+
+test('directed generation orients every node reachable from the root', () => {
+    for (const type of ['random', 'cycle', 'complete']) {
+        for (const rootId of [0, 5]) {
+            const { graph } = generateGraph({ type, nodeCount: 8, density: 0.5, directed: true, rootId, random: seededRandom(3) });
+            assert.deepEqual(findUnreachable(graph, rootId), [], `${type} graph, root ${rootId}`);
+        }
+    }
+});
+
+test('min-heap pops items in comparator order', () => {
+    const random = seededRandom(11);
+    const heap = createMinHeap((a, b) => a - b);
+    const values = Array.from({ length: 50 }, () => Math.floor(random() * 100));
+    values.forEach(value => heap.push(value));
+    const popped = [];
+    while (heap.size() > 0) popped.push(heap.pop().top);
+    assert.deepEqual(popped, [...values].sort((a, b) => a - b));
+});
+
+test('operation counters match with and without recorded steps', () => {
+    const graph = randomConnectedGraph(seededRandom(5), 12, 30);
+    const runs = {
+        lazyPrim: options => primSteps(graph, { ...options, variant: 'lazy' }),
+        eagerPrim: options => primSteps(graph, { ...options, variant: 'eager' }),
+        kruskal: options => kruskalSteps(graph, { ...options, unionStrategy: 'rank', pathCompression: true }).steps,
+    };
+    for (const [name, run] of Object.entries(runs)) {
+        const counters = createOperationCounters();
+        assert.deepEqual(run({ counters, recordSteps: false }), [], name);
+        const steps = run({});
+        assert.deepEqual(counters, steps[steps.length - 1].counters, name);
+    }
+});
+
+test('graph helpers respect edge direction and tree paths', () => {
+    const undirected = createGraph();
+    const directed = createGraph({ directed: true });
+    const a = { from: 1, to: 2 };
+    const b = { from: 2, to: 1 };
+    assert.ok(edgesMatch(undirected, a, b));
+    assert.ok(!edgesMatch(directed, a, b));
+
+    const tree = [{ from: 0, to: 1 }, { from: 1, to: 2 }, { from: 1, to: 3 }];
+    assert.deepEqual(findTreePath(tree, 0, 3), [tree[0], tree[2]]);
+});
+
+test('step traces survive a JSON round trip', () => {
+    const { graph } = generateGraph({ type: 'random', nodeCount: 7, density: 0.6, random: seededRandom(5) });
+    const steps = primSteps(graph, { variant: 'eager' });
+    const text = JSON.stringify(serializeTrace({ graph, algorithm: 'prim', options: { primVariant: 'eager' }, steps }));
+    const loaded = parseTrace(text, { algorithms: ['prim', 'kruskal'] });
+
+    assert.equal(loaded.algorithm, 'prim');
+    assert.equal(loaded.pseudocode, 'prim');
+    assert.deepEqual(loaded.options, { primVariant: 'eager' });
+    assert.equal(loaded.steps.length, steps.length);
+    assert.deepEqual(compactTrace(loaded.graph, loaded.steps), compactTrace(graph, steps));
+    assert.equal(treeWeight(loaded.steps), treeWeight(steps));
+    loaded.steps.filter(step => step.action === 'addEdge').forEach(step => assert.ok(loaded.graph.edges.includes(step.edge)));
+    assert.deepEqual(serializeTrace({ graph: loaded.graph, algorithm: 'prim', options: loaded.options, steps: loaded.steps }), JSON.parse(text));
+
+    // A dynamic update after deleting a tree edge starts from a setTree step with no edge.
+    const treeEdges = steps.filter(step => step.action === 'addEdge').map(step => step.edge).slice(1);
+    const update = serializeTrace({ graph, algorithm: 'prim', pseudocode: 'dynamic', steps: [{ action: 'setTree', treeEdges, edge: null, description: 'Tree edge deleted', pseudoLine: 5 }] });
+    const reloaded = parseTrace(JSON.stringify(update), { algorithms: ['prim'] });
+    assert.equal(reloaded.pseudocode, 'dynamic');
+    assert.equal(reloaded.steps[0].edge, undefined);
+    assert.equal(reloaded.steps[0].treeEdges.length, treeEdges.length);
+    reloaded.steps[0].treeEdges.forEach(edge => assert.ok(reloaded.graph.edges.includes(edge)));
+    assert.deepEqual(serializeTrace({ graph: reloaded.graph, algorithm: 'prim', pseudocode: reloaded.pseudocode, steps: reloaded.steps }), update);
+});
+
+test('markup in trace descriptions is limited to formatting tags', () => {
+    const graph = buildGraph(['A', 'B'], [[0, 1, 1]]);
+    const trace = serializeTrace({ graph, algorithm: 'kruskal', steps: kruskalSteps(graph).steps });
+    const description = '<div class="step-highlight">Add <strong>A-B</strong></div><img src=x onerror="alert(1)"><script>alert(2)</script><div onclick="alert(3)">x</div>';
+    const loaded = parseTrace({ ...trace, steps: [{ ...trace.steps[0], description }] });
+
+    assert.equal(loaded.steps[0].description,
+        '<div class="step-highlight">Add <strong>A-B</strong></div>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;&lt;script&gt;alert(2)&lt;/script&gt;&lt;div onclick=&quot;alert(3)&quot;&gt;x</div>');
+    kruskalSteps(graph).steps.forEach((step, i) => assert.equal(parseTrace(trace).steps[i].description, step.description));
+});
+
+test('step data from a trace may only hold numbers, edges and known node references', () => {
+    const graph = buildGraph(['A', 'B', 'C'], [[0, 1, 1], [1, 2, 2], [0, 2, 3]]);
+    const prim = serializeTrace({ graph, algorithm: 'prim', steps: primSteps(graph) });
+    const kruskal = serializeTrace({ graph, algorithm: 'kruskal', steps: kruskalSteps(graph, { unionStrategy: 'rank' }).steps });
+    const withData = (trace, change) => ({ ...trace, steps: trace.steps.map((step, i) => (i === 1 ? { ...step, data: change(structuredClone(step.data)) } : step)) });
+    const rejects = (input, pattern) => assert.throws(() => parseTrace(input), pattern);
+
+    rejects(withData(prim, data => ({ ...data, counters: { ...data.counters, comparisons: '<img src=x onerror=alert(1)>' } })), /Step 2 has an invalid value for "comparisons"/);
+    rejects(withData(prim, data => ({ ...data, priorityQueue: [{ ...data.priorityQueue[0], weight: '<b>1</b>' }] })), /invalid value for "weight"/);
+    rejects(withData(prim, data => ({ ...data, visitedNodes: [0, 9] })), /invalid value for "visitedNodes"/);
+    rejects(withData(kruskal, data => ({ ...data, unionFind: { ...data.unionFind, rank: { ...data.unionFind.rank, 0: '<i>2</i>' } } })), /invalid value for "rank"/);
+    rejects(withData(kruskal, data => ({ ...data, unionFind: { ...data.unionFind, strategy: 'x" onclick="alert(1)' } })), /invalid value for "strategy"/);
+    rejects(withData(kruskal, data => ({ ...data, panelData: { note: '<script>alert(1)</script>' } })), /invalid value for "note"/);
+    rejects({ ...prim, options: { unionStrategy: { html: '<img>' } } }, /options must be plain settings/);
+
+    const directed = buildGraph(['A', 'B', 'C'], [[0, 1, 2], [1, 2, 1], [2, 1, 1], [0, 2, 5]]);
+    directed.directed = true;
+    const edmonds = serializeTrace({ graph: directed, algorithm: 'edmonds', steps: edmondsSteps(directed, { rootId: 0 }) });
+    assert.equal(parseTrace(edmonds).steps.length, edmonds.steps.length);
+    const incomingStep = edmonds.steps.findIndex(step => step.data.incomingEdges?.length > 0);
+    const withNode = node => ({ ...edmonds, steps: edmonds.steps.map((step, i) => (i === incomingStep ? { ...step, data: { ...step.data, incomingEdges: [{ ...step.data.incomingEdges[0], node }] } } : step)) });
+    assert.doesNotThrow(() => parseTrace(withNode('{B, C}')));
+    rejects(withNode('<b>x</b>'), /invalid value for "node"/);
+});
+
+test('invalid traces are rejected with a reason', () => {
+    const graph = buildGraph(['A', 'B', 'C'], [[0, 1, 1], [1, 2, 2], [0, 2, 3]]);
+    const trace = serializeTrace({ graph, algorithm: 'kruskal', steps: kruskalSteps(graph).steps });
+    const rejects = (input, pattern) => assert.throws(() => parseTrace(input, { algorithms: ['kruskal'] }), pattern);
+
+    rejects('{ not json', /not valid JSON/);
+    rejects({ ...trace, format: 'something-else' }, /not an MST step trace/);
+    rejects({ ...trace, version: TRACE_VERSION + 1 }, /only reads up to version/);
+    rejects({ ...trace, algorithm: 'prim' }, /not available/);
+    rejects({ ...trace, pseudocode: 'prim' }, /unknown pseudocode/);
+    rejects({ ...trace, graph: { ...trace.graph, edges: [...trace.graph.edges, { from: 0, to: 9, weight: 1 }] } }, /Edge 4/);
+    rejects({ ...trace, steps: [{ ...trace.steps[1], action: 'teleport' }] }, /unknown action/);
+    rejects({ ...trace, steps: [{ action: 'addEdge', edge: { from: 0, to: 1, weight: 1 } }] }, /Step 1 has no description/);
+});
+
+test('plain graph data is validated and given default labels', () => {
+    const graph = parseGraph({ nodes: [{ id: 4 }, { id: 7, label: 'Hub', x: 1, y: 2 }, { id: 9, label: 'A' }], edges: [{ from: 4, to: 7, weight: 3 }] });
+    assert.deepEqual(toPlainGraph(graph), {
+        directed: false,
+        nodes: [{ id: 4, label: 'B', x: undefined, y: undefined }, { id: 7, label: 'Hub', x: 1, y: 2 }, { id: 9, label: 'A', x: undefined, y: undefined }],
+        edges: [{ from: 4, to: 7, weight: 3 }],
+    });
+    assert.throws(() => parseGraph({ nodes: [{ id: 1, label: '<img src=x onerror=alert(1)>' }], edges: [] }), /one to three letters or digits/);
+    assert.throws(() => parseGraph({ nodes: [{ id: 1, label: 'A' }, { id: 2, label: 'A' }], edges: [] }), /label A appears more than once/);
+    assert.throws(() => parseGraph({ nodes: Array.from({ length: 27 }, (_, id) => ({ id })), edges: [] }), /at most 26 nodes/);
+    [0, -2, 1.5].forEach(weight => assert.throws(() => parseGraph({ nodes: [{ id: 1 }, { id: 2 }], edges: [{ from: 1, to: 2, weight }] }), /positive whole-number weight/));
+    assert.throws(() => parseGraph({ nodes: [{ id: 1, x: 5 }], edges: [] }), /numeric x and y/);
+    assert.throws(() => parseGraph({ nodes: [{ id: 1 }, { id: 1 }], edges: [] }), /more than once/);
+    assert.throws(() => parseGraph({ nodes: [{ id: 1 }, { id: 2 }], edges: [{ from: 1, to: 2, weight: 1 }, { from: 2, to: 1, weight: 5 }] }), /duplicates/);
+    assert.throws(() => parseGraph({ nodes: [] }), /list of nodes and a list of edges/);
+});